@@ -1,128 +1,95 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-const { ApifyClient } = require('apify-client');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
-
-// Initialize Apify client
-const apifyClient = new ApifyClient({
-    token: process.env.APIFY_TOKEN,
-});
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const storage = require('./lib/storage');
+const { scoreLead } = require('./lib/scoring');
+const { resolveLLM } = require('./lib/llm');
+const { emptyStats } = require('./lib/cache');
+const {
+    findCityConfig, listCityConfigs, emptyCityConfig, normalizeCityConfig, generateCityHashtags, saveCityConfig, citySlug
+} = require('./lib/city-config');
+const { openCheckpoint, DRAGNET_STATE_DIR } = require('./lib/dragnet-checkpoint');
+const { recentlyRefreshed, currentSnapshots, historyRow, recordHistory, REFRESH_AFTER_DAYS } = require('./lib/club-history');
+const { startScheduler, nextCronRun } = require('./lib/scheduler');
+const { resolveScraper } = require('./lib/scrapers');
+const { extractPostSignals, normalizePost } = require('./lib/post-signals');
+const { createScheduler, withRetry } = require('./lib/search/rate-limit');
+const { formatFromFilename, renderExport, recordFromClub } = require('./lib/export');
 
 // ═══════════════════════════════════════════════════════════════════════════
-// AGGRESSIVE DRAGNET - Capture EVERYTHING in Visakhapatnam
+// AGGRESSIVE DRAGNET - Capture EVERYTHING in a city
+// Hashtags, seed handles and limits come from config/cities/<city>.json
+// (see lib/city-config.js); progress is checkpointed per hashtag and per
+// profile batch (see lib/dragnet-checkpoint.js). Run `node discovery.js --help`.
 // ═══════════════════════════════════════════════════════════════════════════
 
-// KNOWN CLUB HANDLES - These are scraped DIRECTLY regardless of hashtags
-// Add any club usernames you discover that might be missed by hashtag scraping
-const KNOWN_HANDLES = [
-    'solemates__runclub',      // Soul Mates Run Club
-    'on.the.move.runclub',     // On The Move Vizag Run Club
-    'vizagruncollective',      // Vizag Run Collective
-    'culture.runclub_',        // Culture Run Club
-];
-
-
-// MASSIVE hashtag list covering ALL fitness/sports/wellness communities
-const CITY_HASHTAGS = [
-    // Running Communities (HIGH PRIORITY based on screenshots)
-    'vizagrunners',
-    'vizagruncollective',
-    'onthemove',
-    'runclub',
-    'vizagrunclub',
-    'runandrave',
-    'communityrun',
-    'solemates',
-    'culturerunclub',
-    '5krun',
-    '3krun',
-    'morningrun',
-    'runwithus',
-    'runcommunity',
-    'runningcommunity',
-
-    // Cycling Communities
-    'vizagcyclists',
-    'vizagcycling',
-    'cyclingvizag',
-    'vizagbikers',
-    'vizagriders',
-
-    // Fitness & Gyms
-    'vizagfitness',
-    'fitnessvizag',
-    'vizaggym',
-    'gymvizag',
-    'fitnessvisakhapatnam',
-    'vizagworkout',
-    'crossfitvizag',
-
-    // Sports
-    'vizagmarathon',
-    'vizagbadminton',
-    'vizagtennis',
-    'vizagsports',
-    'sportsvizag',
-
-    // Yoga & Wellness
-    'vizagyoga',
-    'yogavizag',
-    'vizagwellness',
-
-    // Events & Lifestyle
-    'vizagevents',
-    'activevizag',
-    'vizaglifestyle',
-    'vizagactive',
-    'vizagmorning',
-
-    // General Vizag hashtags that capture fitness content
-    'visakhapatnam',
-    'vizag',
-    'waltair',
-];
-
-// Posts to scrape per hashtag (100 × ~45 hashtags = 4500 posts scanned)
-const POSTS_PER_HASHTAG = 100;
-
-// Keywords for signal score calculation (not for filtering!)
-const SCORE_KEYWORDS = [
-    'club', 'group', 'community', 'gym', 'fitness', 'studio', 'training', 'arena',
-    'workout', 'health', 'sports', 'exercise', 'fit', 'wellness', 'crossfit',
-    'yoga', 'zumba', 'pilates', 'martial', 'boxing', 'running', 'cycling',
-    'academy', 'association', 'team', 'squad', 'warriors', 'riders', 'walkers',
-    'collective', 'crew', 'movement', 'run', 'marathon', 'triathlon',
-    '💪', '🏋️', '🏃', '🧘', '🥊', '🚴', '🏸', '🎾'
-];
+const DEFAULT_CITY = process.env.DRAGNET_CITY || 'visakhapatnam';
+
+const STEPS = ['collect', 'profiles', 'save'];
+
+// Hashtags / profile batches scraped at once, and retries per failed one
+const DRAGNET_CONCURRENCY = parseInt(process.env.DRAGNET_CONCURRENCY, 10) || 3;
+const DRAGNET_RETRIES = Number.parseInt(process.env.DRAGNET_RETRIES, 10) >= 0 ? Number.parseInt(process.env.DRAGNET_RETRIES, 10) : 2;
+const RETRY_BASE_DELAY_MS = 5000;
+
+// Hashtag posts kept per username for post signals (newest first)
+const POSTS_PER_ACCOUNT = 20;
+const POST_SIGNALS_LLM = process.env.POST_SIGNALS_LLM === 'on';
+
+const USAGE = `
+Usage: node discovery.js [city] [options]
+
+  city                      config/cities/<city>.json, by file name, city or alias
+                            (default: ${DEFAULT_CITY})
+
+  --steps <list>            steps to run: ${STEPS.join(',')} (default: all). Steps
+                            that are skipped take their input from the checkpoint
+  --hashtags <list>         scan these hashtags instead of the configured ones
+  --handles <list>          use these seed handles instead of the configured ones
+  --posts-per-hashtag <n>   override posts_per_hashtag
+  --batch-size <n>          override profile_batch_size
+  --generate-hashtags       add hashtags from the AI query expansion (works for
+                            cities without a config file)
+  --save-hashtags           write generated hashtags back to the city config
+  --dry-run                 write scored rows to a file instead of storage
+  --out <file>              dry-run output file (default: .dragnet/<city>.dry-run.json);
+                            .csv, .ndjson or .xlsx write the omni-search export columns
+  --restart                 discard the checkpoint and start from scratch
+  --source <name>           scraper source: apify or replay (default: SCRAPER_SOURCE or apify)
+  --concurrency <n>         hashtags / profile batches scraped at once (default: ${DRAGNET_CONCURRENCY})
+  --retries <n>             retries per failed hashtag or batch (default: ${DRAGNET_RETRIES})
+  --post-signals-llm        also read schedules and events out of captions with the
+                            LLM (default: POST_SIGNALS_LLM=on)
+  --refresh-after <days>    skip profiles refreshed within this many days
+                            (default: refresh_after_days, else ${REFRESH_AFTER_DAYS}; 0 = refetch all)
+  --schedule                stay running and re-crawl every city config that has
+                            a "schedule" (cron) on that schedule
+  -h, --help                show this help
+`;
 
 // ═══════════════════════════════════════════════════════════════════════════
 // UTILITY FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════
 
-function calculateSignalScore(name, bio, followers) {
-    let score = 0;
-    const text = ((name || '') + ' ' + (bio || '')).toLowerCase();
-
-    SCORE_KEYWORDS.forEach(keyword => {
-        if (text.includes(keyword.toLowerCase())) score += 5;
-    });
-
-    if (followers >= 10000) score += 30;
-    else if (followers >= 5000) score += 20;
-    else if (followers >= 1000) score += 10;
-    else if (followers >= 500) score += 5;
-
-    return Math.min(score, 100);
+// Signal score via the shared lead-scoring engine (lib/scoring.js).
+// `sources` is how many hashtags / seed lists surfaced the username.
+function latestPostAt(profile) {
+    return (profile.latestPosts || [])
+        .map(p => p.timestamp)
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
 }
 
-function countKeywords(name, bio) {
-    const text = ((name || '') + ' ' + (bio || '')).toLowerCase();
-    return SCORE_KEYWORDS.filter(k => text.includes(k.toLowerCase())).length;
+function scoreProfile(profile, { name, bio, followers }, sources, config) {
+    return scoreLead({
+        text: [name, profile.username, bio],
+        followers,
+        sources,
+        location: profile.businessAddress || profile.locationName || profile.city || null,
+        lastActiveAt: latestPostAt(profile)
+    }, { targetLocations: config.locations });
 }
 
 function truncateForDB(text, maxLength = 95) {
@@ -139,229 +106,574 @@ function displayBio(bio, maxLength = 70) {
     return cleaned.substring(0, maxLength) + '...';
 }
 
-function extractCity(profile) {
+function extractCity(profile, defaultCity) {
     if (profile.businessAddress) return profile.businessAddress;
     if (profile.locationName) return profile.locationName;
     if (profile.city) return profile.city;
-    return 'Visakhapatnam';
+    return defaultCity;
+}
+
+// One row of a ╔═╗ box: 68 columns between the borders
+function boxLine(text) {
+    return `║  ${text.padEnd(68)}║`;
+}
+
+// "📅 Sundays 5:30am, RK Beach | 🗓️ 2026-11-08 Vizag Half Marathon (+1 more)"
+function meetingLine({ meeting_summary, upcoming_events }) {
+    const parts = [];
+    if (meeting_summary) parts.push(`📅 ${meeting_summary}`);
+    if (upcoming_events.length > 0) {
+        const [next] = upcoming_events;
+        const more = upcoming_events.length > 1 ? ` (+${upcoming_events.length - 1} more)` : '';
+        parts.push(`🗓️ ${next.date} ${displayBio(next.title, 50)}${more}`);
+    }
+    return parts.join(' | ');
+}
+
+// Runs `task(item)` for every item, `concurrency` at a time, retrying each
+// failure up to `retries` times with backoff. Resolves to the items that still
+// failed, as [{ item, error }].
+async function runConcurrently(items, task, { concurrency, retries, label }) {
+    const scheduler = createScheduler({ concurrency, perSecond: concurrency, burst: concurrency });
+    const outcomes = await Promise.all(items.map(item => scheduler.schedule(() => withRetry(() => task(item), {
+        retries,
+        baseDelayMs: RETRY_BASE_DELAY_MS,
+        // Scraper runs fail for all sorts of transient reasons; all are worth retrying
+        retryable: () => true,
+        onRetry: (err, attempt, delay) => {
+            console.log(`   🔁 ${label(item)}: ${err.message.substring(0, 50)} — retry ${attempt}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+        }
+    })).then(() => null, error => ({ item, error }))));
+    return outcomes.filter(Boolean);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STEP 1: COLLECT ALL USERNAMES FROM ALL HASHTAGS
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function collectUsernamesFromHashtags() {
-    console.log('\n' + '═'.repeat(70));
-    console.log('📡 STEP 1: COLLECTING USERNAMES');
-    console.log('═'.repeat(70));
-
-    // First, add all known handles directly
-    const usernames = new Set(KNOWN_HANDLES);
-    console.log(`   🎯 Known handles pre-loaded: ${KNOWN_HANDLES.length}`);
-    KNOWN_HANDLES.forEach(h => console.log(`      → @${h}`));
-
-    console.log(`\n   🏷️  Hashtags to scan: ${CITY_HASHTAGS.length}`);
-    console.log(`   📬 Posts per hashtag: ${POSTS_PER_HASHTAG}`);
-    console.log(`   📊 Total posts to analyze: ~${CITY_HASHTAGS.length * POSTS_PER_HASHTAG}\n`);
+// Usernames from a checkpoint's state as the Map collectUsernamesFromHashtags returns
+function usernamesFromState(state) {
+    return new Map(Object.entries(state.usernames).map(([u, tags]) => [u, new Set(tags)]));
+}
 
-    let successCount = 0;
-    let failCount = 0;
+// Keeps `post` (normalized) among the account's newest POSTS_PER_ACCOUNT
+function keepPost(state, username, post) {
+    const posts = state.posts[username] || [];
+    if (!post.post_id || posts.some(p => p.post_id === post.post_id)) return;
+    posts.push(post);
+    posts.sort((a, b) => String(b.posted_at || '').localeCompare(String(a.posted_at || '')));
+    state.posts[username] = posts.slice(0, POSTS_PER_ACCOUNT);
+}
 
-    for (let i = 0; i < CITY_HASHTAGS.length; i++) {
-        const hashtag = CITY_HASHTAGS[i];
-        const progress = `[${i + 1}/${CITY_HASHTAGS.length}]`;
+// Hashtags are skipped when the checkpoint already has them; ones that fail
+// every retry are left out of it so the next run tries them again.
+// `fetchOptions`: { scraper, concurrency, retries }
+async function collectUsernamesFromHashtags(config, checkpoint, { scraper, concurrency, retries }) {
+    const { knownHandles, hashtags, postsPerHashtag } = config;
+    const { state } = checkpoint;
 
-        process.stdout.write(`🔍 ${progress} Scanning #${hashtag}...`);
+    console.log('\n' + '═'.repeat(70));
+    console.log('📡 STEP 1: COLLECTING USERNAMES');
+    console.log('═'.repeat(70));
 
-        try {
-            const run = await apifyClient.actor('apify/instagram-hashtag-scraper').call({
-                hashtags: [hashtag],
-                resultsLimit: POSTS_PER_HASHTAG,
-            });
+    // First, add all known handles directly. Each username maps to the
+    // hashtags (or 'known') it was found under — the score counts them as sources.
+    const usernames = usernamesFromState(state);
+    for (const h of knownHandles) {
+        if (!usernames.has(h)) usernames.set(h, new Set());
+        usernames.get(h).add('known');
+    }
+    console.log(`   🎯 Known handles pre-loaded: ${knownHandles.length}`);
+    knownHandles.forEach(h => console.log(`      → @${h}`));
 
-            const { items } = await apifyClient.dataset(run.defaultDatasetId).listItems();
+    const completed = new Set(state.completed_hashtags);
+    const pending = hashtags.filter(h => !completed.has(h));
+    if (pending.length < hashtags.length) {
+        console.log(`\n   ⏭️  Resuming: ${hashtags.length - pending.length} hashtags already scanned (${usernames.size} usernames)`);
+    }
 
-            let newCount = 0;
-            for (const post of items) {
-                const username = post.ownerUsername || (post.ownerProfile && post.ownerProfile.username);
-                if (username && !usernames.has(username)) {
-                    usernames.add(username);
-                    newCount++;
-                }
+    console.log(`\n   🏷️  Hashtags to scan: ${pending.length}`);
+    console.log(`   📬 Posts per hashtag: ${postsPerHashtag}`);
+    console.log(`   📊 Total posts to analyze: ~${pending.length * postsPerHashtag}`);
+    console.log(`   🕷️  Source: ${scraper.name} | ${concurrency} at a time | ${retries} retries\n`);
+
+    let scanned = 0;
+    const failed = await runConcurrently(pending, async hashtag => {
+        const items = await scraper.hashtagPosts(hashtag, { limit: postsPerHashtag });
+
+        let newCount = 0;
+        for (const post of items) {
+            const username = post.ownerUsername || (post.ownerProfile && post.ownerProfile.username);
+            if (!username) continue;
+            if (!usernames.has(username)) {
+                usernames.set(username, new Set());
+                newCount++;
             }
-            console.log(` ✅ ${items.length} posts → +${newCount} new (Total: ${usernames.size})`);
-            successCount++;
-        } catch (error) {
-            console.log(` ❌ Error: ${error.message.substring(0, 50)}`);
-            failCount++;
+            usernames.get(username).add(hashtag);
+            keepPost(state, username, normalizePost(post, hashtag));
         }
-    }
+        console.log(`🔍 [${++scanned}/${pending.length}] #${hashtag} ✅ ${items.length} posts → +${newCount} new (Total: ${usernames.size})`);
+
+        state.completed_hashtags.push(hashtag);
+        state.usernames = Object.fromEntries([...usernames].map(([u, tags]) => [u, [...tags]]));
+        checkpoint.save();
+    }, { concurrency, retries, label: hashtag => `#${hashtag}` });
+
+    failed.forEach(({ item, error }) => console.log(`🔍 #${item} ❌ Error: ${error.message.substring(0, 50)}`));
 
     console.log(`\n${'─'.repeat(70)}`);
     console.log(`📊 SCAN COMPLETE:`);
-    console.log(`   ✅ Successful hashtags: ${successCount}`);
-    console.log(`   ❌ Failed hashtags: ${failCount}`);
+    console.log(`   ✅ Successful hashtags: ${pending.length - failed.length}`);
+    console.log(`   ❌ Failed hashtags: ${failed.length}`);
     console.log(`   👤 Unique usernames: ${usernames.size}`);
     console.log('─'.repeat(70));
 
-    return Array.from(usernames);
+    state.usernames = Object.fromEntries([...usernames].map(([u, tags]) => [u, [...tags]]));
+    checkpoint.save();
+    return usernames;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STEP 2: FETCH FULL PROFILE DETAILS (in batches)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function fetchProfileDetails(usernames) {
+// Usernames the checkpoint already has profiles for are skipped, and so are
+// profiles refreshed within `refreshAfterDays`; a batch that fails every retry
+// is left out of the checkpoint so the next run tries it again.
+// → { profiles, fresh } where `fresh` holds the usernames skipped as fresh.
+async function fetchProfileDetails(usernames, config, checkpoint, { scraper, concurrency, retries, refreshAfterDays = REFRESH_AFTER_DAYS }) {
+    const { state } = checkpoint;
+    const fetched = new Set(state.fetched_usernames);
+    let pending = usernames.filter(u => !fetched.has(u));
+
     console.log('\n' + '═'.repeat(70));
     console.log('👤 STEP 2: FETCHING FULL PROFILE DETAILS');
     console.log('═'.repeat(70));
-    console.log(`   Profiles to fetch: ${usernames.length}\n`);
+    if (pending.length < usernames.length) {
+        console.log(`   ⏭️  Resuming: ${usernames.length - pending.length} usernames already fetched (${state.profiles.length} profiles)`);
+    }
 
-    if (usernames.length === 0) {
+    // Not recorded as fetched: they have no profile in the checkpoint, and are
+    // only skipped until they go stale
+    const fresh = await recentlyRefreshed(pending, refreshAfterDays);
+    if (fresh.size > 0) {
+        pending = pending.filter(u => !fresh.has(u));
+        console.log(`   ⏭️  Skipping ${fresh.size} profiles refreshed in the last ${refreshAfterDays} days`);
+    }
+    console.log(`   Profiles to fetch: ${pending.length}\n`);
+
+    if (pending.length === 0) {
         console.log('   ⚠️  No usernames to fetch');
-        return [];
+        return { profiles: state.profiles, fresh };
     }
 
-    const allProfiles = [];
-    const BATCH_SIZE = 50; // Process in batches to avoid timeouts
+    const BATCH_SIZE = config.profileBatchSize; // Process in batches to avoid timeouts
     const batches = [];
 
-    for (let i = 0; i < usernames.length; i += BATCH_SIZE) {
-        batches.push(usernames.slice(i, i + BATCH_SIZE));
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        batches.push(pending.slice(i, i + BATCH_SIZE));
     }
 
-    console.log(`   📦 Processing in ${batches.length} batches of ${BATCH_SIZE}\n`);
-
-    for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-        process.stdout.write(`   ⏳ Batch ${i + 1}/${batches.length} (${batch.length} profiles)...`);
+    console.log(`   📦 Processing in ${batches.length} batches of ${BATCH_SIZE} (${concurrency} at a time)\n`);
 
-        try {
-            const run = await apifyClient.actor('apify/instagram-profile-scraper').call({
-                usernames: batch,
-            });
+    let done = 0;
+    const failed = await runConcurrently(batches, async batch => {
+        const items = await scraper.profiles(batch);
+        state.profiles.push(...items);
+        state.fetched_usernames.push(...batch);
+        checkpoint.save();
+        console.log(`   ⏳ Batch ${++done}/${batches.length} (${batch.length} profiles) ✅ Got ${items.length} profiles`);
+    }, { concurrency, retries, label: batch => `batch @${batch[0]}…` });
 
-            const { items } = await apifyClient.dataset(run.defaultDatasetId).listItems();
-            allProfiles.push(...items);
-            console.log(` ✅ Got ${items.length} profiles`);
-        } catch (error) {
-            console.log(` ❌ Error: ${error.message.substring(0, 40)}`);
-        }
-    }
+    failed.forEach(({ item, error }) => console.log(`   ⏳ Batch @${item[0]}… (${item.length} profiles) ❌ Error: ${error.message.substring(0, 40)}`));
 
-    console.log(`\n   📊 Total profiles fetched: ${allProfiles.length}`);
-    return allProfiles;
+    console.log(`\n   📊 Total profiles fetched: ${state.profiles.length}`);
+    return { profiles: state.profiles, fresh };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// STEP 3: SAVE ALL PROFILES TO SUPABASE (NO FILTERING!)
+// STEP 3: SAVE ALL PROFILES (NO FILTERING!)
+// Rows go to the configured store (lib/storage) in batches; with `dryRun`
+// they go to a JSON file at `out` instead. Each club row carries the
+// schedules and events read out of its posts (lib/post-signals.js), and the
+// posts themselves go to `club_posts`.
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function saveAllProfiles(profiles) {
+// Hashtag posts from the checkpoint plus the profile's latestPosts, one per post_id
+function accountPosts(profile, postsByUsername) {
+    const posts = new Map();
+    for (const post of [...(postsByUsername[profile.username] || []), ...(profile.latestPosts || []).map(p => normalizePost(p))]) {
+        if (post.post_id && !posts.has(post.post_id)) posts.set(post.post_id, post);
+    }
+    return [...posts.values()];
+}
+
+async function saveAllProfiles(profiles, sourcesByUsername, config, {
+    dryRun = false, out = null, postsByUsername = {}, postSignalsLlm = POST_SIGNALS_LLM
+} = {}) {
     console.log('\n' + '═'.repeat(70));
-    console.log('💾 STEP 3: SAVING ALL PROFILES TO SUPABASE');
+    console.log(dryRun ? `💾 STEP 3: WRITING ALL PROFILES TO ${out} (DRY RUN)` : `💾 STEP 3: SAVING ALL PROFILES TO ${storage.name.toUpperCase()}`);
     console.log('═'.repeat(70));
-    console.log(`   ⚠️  Mode: AGGRESSIVE - Saving ALL ${profiles.length} profiles (NO FILTERING)\n`);
-
-    let saved = 0;
-    let errors = 0;
-
+    console.log(`   ⚠️  Mode: AGGRESSIVE - Saving ALL ${profiles.length} profiles (NO FILTERING)`);
+    console.log(`   📅 Post signals: regex${postSignalsLlm ? ' + LLM' : ''}\n`);
+
+    const now = new Date().toISOString();
+    const llmCtx = postSignalsLlm ? { llm: resolveLLM(), llmStats: {}, cacheStats: emptyStats() } : {};
+    // Keyed on handle / post_id: a batch upsert can't touch the same row twice
+    const rows = new Map();
+    const postRows = new Map();
     for (const profile of profiles) {
         const username = profile.username;
         const bio = profile.biography || profile.bio || '';
         const name = profile.fullName || profile.full_name || username;
         const followers = profile.followersCount || profile.followers || 0;
 
-        const signalScore = calculateSignalScore(name, bio, followers);
-        const keywordCount = countKeywords(name, bio);
-        const city = extractCity(profile);
+        const { score: signalScore, breakdown } = scoreProfile(
+            profile, { name, bio, followers }, sourcesByUsername.get(username)?.size || 1, config
+        );
+        const city = extractCity(profile, config.city);
+        const posts = accountPosts(profile, postsByUsername);
+        const signals = await extractPostSignals(username, posts, { llm: postSignalsLlm, ctx: llmCtx });
+        posts.forEach(post => postRows.set(post.post_id, { ...post, instagram_handle: username }));
 
-        const clubData = {
+        rows.set(username, {
             name: truncateForDB(name, 95),
             instagram_handle: username,
             bio: truncateForDB(bio, 500),
             followers: followers,
             city: truncateForDB(city, 95),
             signal_score: signalScore,
-        };
+            score_breakdown: breakdown,
+            last_refreshed_at: now,
+            last_post_at: latestPostAt(profile),
+            ...signals,
+        });
+    }
+    const clubRows = [...rows.values()];
+
+    if (dryRun) {
+        clubRows.forEach(row => {
+            console.log(`   📝 @${row.instagram_handle} | Score: ${row.signal_score} | ${row.followers.toLocaleString()} followers`);
+            if (row.meeting_summary || row.upcoming_events.length > 0) console.log(`      ${meetingLine(row)}`);
+        });
+        // .json keeps the full rows; other formats use the same columns as app exports
+        const format = formatFromFilename(out);
+        const body = format && format !== 'json'
+            ? renderExport(clubRows.map(row => recordFromClub(row)), { format }).body
+            : JSON.stringify(clubRows, null, 2) + '\n';
+        fs.writeFileSync(out, body);
+        console.log(`\n   💾 Wrote ${clubRows.length} rows to ${out}`);
+        return { saved: clubRows.length, errors: 0 };
+    }
 
-        const { error } = await supabase
-            .from('clubs')
-            .upsert(clubData, {
-                onConflict: 'instagram_handle',
-                ignoreDuplicates: false
-            });
+    const previous = await currentSnapshots([...rows.keys()]);
+    const result = await storage.upsert('clubs', clubRows, { key: 'instagram_handle' });
+    const failed = new Map(result.errors.map(e => [e.key, e.message]));
 
-        if (error) {
-            console.log(`   ❌ @${username}: ${error.message}`);
-            errors++;
-        } else {
-            console.log(`   ✅ @${username} | Score: ${signalScore} | ${followers.toLocaleString()} followers | ${keywordCount} keywords`);
-            console.log(`      📝 ${displayBio(bio)}`);
-            saved++;
+    const history = [];
+    for (const row of clubRows) {
+        const username = row.instagram_handle;
+        if (failed.has(username)) {
+            console.log(`   ❌ @${username}: ${failed.get(username)}`);
+            continue;
         }
+        const breakdown = row.score_breakdown;
+        console.log(`   ✅ @${username} | Score: ${row.signal_score} | ${row.followers.toLocaleString()} followers | ${breakdown.keywords.detail.length} keywords | ${breakdown.sources.detail} sources`);
+        console.log(`      📝 ${displayBio(row.bio)}`);
+        if (row.meeting_summary || row.upcoming_events.length > 0) console.log(`      ${meetingLine(row)}`);
+        history.push(historyRow(row, previous.get(username)));
     }
 
-    return { saved, errors };
+    const { recorded, errors: historyErrors } = await recordHistory(history);
+    historyErrors.forEach(e => console.log(`   ❌ club_history @${e.handle}: ${e.message}`));
+    if (recorded > 0) {
+        const grew = history.filter(h => h.followers_delta > 0).length;
+        const shrank = history.filter(h => h.followers_delta < 0).length;
+        const bios = history.filter(h => h.bio_changed).length;
+        console.log(`\n   📜 History: ${recorded} snapshots | 📈 ${grew} grew | 📉 ${shrank} shrank | ✏️ ${bios} bio changes`);
+    }
+
+    // Posts only for clubs that saved, so club_posts never points at a missing club
+    const savedPosts = [...postRows.values()].filter(p => !failed.has(p.instagram_handle));
+    const postResult = await storage.upsert('club_posts', savedPosts, { key: 'post_id' });
+    postResult.errors.forEach(e => console.log(`   ❌ club_posts ${e.key}: ${e.message}`));
+    if (postResult.saved.length > 0) {
+        const withSchedule = clubRows.filter(r => r.meeting_summary && !failed.has(r.instagram_handle)).length;
+        console.log(`   📅 Posts: ${postResult.saved.length} saved | ${withSchedule} clubs with a meeting schedule`);
+    }
+
+    return { saved: result.saved.length, errors: result.errors.length };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
 // MAIN AGGRESSIVE DRAGNET
+// `options`: { steps, dryRun, out, restart, refreshAfterDays, postSignalsLlm, source, concurrency, retries } (see USAGE)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function runAggressiveDragnet() {
+async function runAggressiveDragnet(config, {
+    steps = STEPS, dryRun = false, out = null, restart = false, refreshAfterDays = config.refreshAfterDays ?? REFRESH_AFTER_DAYS,
+    postSignalsLlm = POST_SIGNALS_LLM, source, concurrency = DRAGNET_CONCURRENCY, retries = DRAGNET_RETRIES
+} = {}) {
     console.log('\n');
     console.log('╔══════════════════════════════════════════════════════════════════════╗');
-    console.log('║  🚀 AGGRESSIVE VISAKHAPATNAM DRAGNET - CAPTURE EVERYTHING!           ║');
+    console.log(boxLine(`🚀 AGGRESSIVE ${config.city.toUpperCase()} DRAGNET - CAPTURE EVERYTHING!`));
     console.log('╠══════════════════════════════════════════════════════════════════════╣');
     console.log('║  No filtering - Every profile goes into the database                 ║');
-    console.log('║  You can filter/curate manually in Supabase later                    ║');
+    console.log('║  Curate them later from the app (status, notes, tags, owner)         ║');
     console.log('╚══════════════════════════════════════════════════════════════════════╝');
 
+    if (steps.includes('save') && !dryRun && !storage) {
+        throw new Error('No storage configured: set SUPABASE_URL and SUPABASE_KEY, or STORAGE=json (or use --dry-run)');
+    }
+    if (steps.includes('collect') && config.hashtags.length === 0 && config.knownHandles.length === 0) {
+        throw new Error(`No hashtags or known handles configured for ${config.city}. Try --generate-hashtags.`);
+    }
+
+    const scraper = steps.includes('collect') || steps.includes('profiles') ? resolveScraper(source) : null;
+    const fetchOptions = { scraper, concurrency, retries };
+
+    const checkpoint = openCheckpoint(citySlug(config.city), config.city, { restart });
+    if (checkpoint.resumed) {
+        const { state } = checkpoint;
+        console.log(`\n⏭️  Checkpoint ${checkpoint.file} (updated ${state.updated_at}): ` +
+            `${state.completed_hashtags.length} hashtags, ${Object.keys(state.usernames).length} usernames, ${state.profiles.length} profiles`);
+    }
+
     const startTime = Date.now();
 
-    try {
-        // Step 1: Collect usernames from ALL hashtags
-        const usernames = await collectUsernamesFromHashtags();
+    // Step 1: Collect usernames from ALL hashtags
+    const sourcesByUsername = steps.includes('collect')
+        ? await collectUsernamesFromHashtags(config, checkpoint, fetchOptions)
+        : usernamesFromState(checkpoint.state);
+    const usernames = [...sourcesByUsername.keys()];
+
+    if (usernames.length === 0) {
+        console.log(steps.includes('collect')
+            ? '\n❌ No usernames found. Exiting.'
+            : `\n❌ No collected usernames in ${checkpoint.file} — run the collect step first.`);
+        return;
+    }
+
+    // Step 2: Fetch full profile details
+    let profiles = checkpoint.state.profiles;
+    let fresh = new Set();
+    if (steps.includes('profiles')) {
+        ({ profiles, fresh } = await fetchProfileDetails(usernames, config, checkpoint, { ...fetchOptions, refreshAfterDays }));
+    }
+
+    let saved = 0;
+    let errors = 0;
+    if (steps.includes('save') && profiles.length === 0) {
+        // Still falls through to the bookkeeping below: a run where every
+        // profile was fresh is finished, and its checkpoint must go
+        console.log(fresh.size > 0 ? '\n✅ Every profile is fresh — nothing to save.' : '\n❌ Could not fetch any profiles.');
+    } else if (steps.includes('save')) {
+        // Step 3: Save ALL profiles
+        ({ saved, errors } = await saveAllProfiles(profiles, sourcesByUsername, config, {
+            dryRun, out, postsByUsername: checkpoint.state.posts, postSignalsLlm
+        }));
+    }
+
+    // Keep the checkpoint while anything is left to retry or upsert
+    const unscanned = config.hashtags.filter(h => !checkpoint.state.completed_hashtags.includes(h)).length;
+    const fetched = new Set(checkpoint.state.fetched_usernames);
+    const unfetched = usernames.filter(u => !fetched.has(u) && !fresh.has(u)).length;
+    const finished = steps.includes('save') && !dryRun && errors === 0 && unscanned === 0 && unfetched === 0;
+    if (finished) checkpoint.clear();
+
+    // Final Report
+    const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
+
+    console.log('\n');
+    console.log('╔══════════════════════════════════════════════════════════════════════╗');
+    console.log('║                   🎯 AGGRESSIVE DRAGNET COMPLETE!                    ║');
+    console.log('╠══════════════════════════════════════════════════════════════════════╣');
+    console.log(`║  🏙️  City:                  ${config.city.padEnd(41)}║`);
+    console.log(`║  🧭  Steps:                 ${steps.join(', ').padEnd(41)}║`);
+    console.log(`║  🏷️  Hashtags scanned:      ${checkpoint.state.completed_hashtags.length.toString().padEnd(41)}║`);
+    console.log(`║  📬  Posts analyzed:        ~${(checkpoint.state.completed_hashtags.length * config.postsPerHashtag).toString().padEnd(40)}║`);
+    console.log(`║  👤  Unique usernames:      ${usernames.length.toString().padEnd(41)}║`);
+    console.log(`║  📥  Profiles fetched:      ${profiles.length.toString().padEnd(41)}║`);
+    console.log(`║  ✅  ${(dryRun ? 'Written to JSON:' : 'Saved to database:').padEnd(23)}${saved.toString().padEnd(41)}║`);
+    console.log(`║  ❌  Errors:                ${errors.toString().padEnd(41)}║`);
+    console.log(`║  ⏱️   Duration:             ${(duration + ' minutes').padEnd(41)}║`);
+    console.log('╚══════════════════════════════════════════════════════════════════════╝');
+
+    if (!finished) {
+        const pending = [
+            unscanned && `${unscanned} hashtags to scan`,
+            unfetched && `${unfetched} profiles to fetch`,
+            errors && `${errors} rows to re-save`,
+        ].filter(Boolean);
+        console.log(`\n💾 Checkpoint kept at ${checkpoint.file}${pending.length ? ` (${pending.join(', ')})` : ''}.`);
+        console.log('   Rerun the same command to resume, or add --steps save to upsert what was collected.');
+    }
+    console.log('\n💡 Tip: Use Supabase to filter by signal_score > 20 for quality leads!\n');
+}
 
-        if (usernames.length === 0) {
-            console.log('\n❌ No usernames found. Exiting.');
-            return;
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND LINE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function cliInt(value, flag, fallback, min) {
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw new Error(`${flag} must be an integer ≥ ${min}`);
+    return n;
+}
+
+function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            steps: { type: 'string', default: STEPS.join(',') },
+            hashtags: { type: 'string' },
+            handles: { type: 'string' },
+            'posts-per-hashtag': { type: 'string' },
+            'batch-size': { type: 'string' },
+            'generate-hashtags': { type: 'boolean', default: false },
+            'save-hashtags': { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            out: { type: 'string' },
+            restart: { type: 'boolean', default: false },
+            'refresh-after': { type: 'string' },
+            'post-signals-llm': { type: 'boolean', default: POST_SIGNALS_LLM },
+            source: { type: 'string' },
+            concurrency: { type: 'string' },
+            retries: { type: 'string' },
+            schedule: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
         }
+    });
+    if (positionals.length > 1) throw new Error(`Expected one city, got: ${positionals.join(' ')} (quote names with spaces)`);
+
+    const list = value => value === undefined ? undefined : value.split(',').map(v => v.trim()).filter(Boolean);
+    const steps = list(values.steps);
+    const unknown = steps.filter(s => !STEPS.includes(s));
+    if (unknown.length > 0) throw new Error(`Unknown step "${unknown[0]}" (expected: ${STEPS.join(', ')})`);
+    if (values.schedule && (positionals.length > 0 || values['dry-run'])) {
+        throw new Error('--schedule runs every scheduled city config; it takes no city and no --dry-run');
+    }
 
-        // Step 2: Fetch full profile details
-        const profiles = await fetchProfileDetails(usernames);
+    return {
+        help: values.help,
+        city: positionals[0] || DEFAULT_CITY,
+        // Keep the pipeline order whatever order the steps were given in
+        steps: STEPS.filter(s => steps.includes(s)),
+        overrides: {
+            hashtags: list(values.hashtags),
+            known_handles: list(values.handles),
+            posts_per_hashtag: values['posts-per-hashtag'],
+            profile_batch_size: values['batch-size'],
+            refresh_after_days: values['refresh-after'],
+        },
+        schedule: values.schedule,
+        fetch: {
+            source: values.source,
+            concurrency: cliInt(values.concurrency, '--concurrency', DRAGNET_CONCURRENCY, 1),
+            retries: cliInt(values.retries, '--retries', DRAGNET_RETRIES, 0),
+        },
+        generateHashtags: values['generate-hashtags'],
+        saveHashtags: values['save-hashtags'],
+        dryRun: values['dry-run'],
+        out: values.out || null,
+        restart: values.restart,
+        postSignalsLlm: values['post-signals-llm'],
+    };
+}
+
+// City config with command-line overrides and, optionally, generated hashtags
+async function resolveCityConfig({ city, overrides, generateHashtags, saveHashtags }) {
+    const config = findCityConfig(city);
+    if (!config && !generateHashtags && !overrides.hashtags && !overrides.known_handles) {
+        throw new Error(`No dragnet config for "${city}" — add config/cities/<city>.json, pass --hashtags/--handles or --generate-hashtags`);
+    }
 
-        if (profiles.length === 0) {
-            console.log('\n❌ Could not fetch any profiles. Exiting.');
-            return;
+    const base = config || emptyCityConfig(city);
+    const target = {
+        ...normalizeCityConfig({
+            city: base.city,
+            aliases: base.aliases,
+            known_handles: overrides.known_handles || base.knownHandles,
+            hashtags: overrides.hashtags || base.hashtags,
+            posts_per_hashtag: overrides.posts_per_hashtag ?? base.postsPerHashtag,
+            profile_batch_size: overrides.profile_batch_size ?? base.profileBatchSize,
+            refresh_after_days: overrides.refresh_after_days ?? base.refreshAfterDays,
+            schedule: base.schedule,
+        }, 'command line'),
+        file: base.file
+    };
+    if (!generateHashtags) return target;
+
+    console.log(`\n🧠 Generating hashtags for ${target.city} with AI...`);
+    const generated = await generateCityHashtags(target.city, {
+        llm: resolveLLM(),
+        llmStats: {},
+        cacheStats: emptyStats()
+    });
+    const hashtags = [...new Set([...target.hashtags, ...generated])];
+    console.log(`   ✅ ${generated.length} generated, ${hashtags.length - target.hashtags.length} new: ${generated.map(t => '#' + t).join(' ')}`);
+
+    if (saveHashtags) {
+        const { file, added } = saveCityConfig(base, { hashtags: generated });
+        console.log(`   💾 Saved ${added} new hashtags to ${file}`);
+    }
+    return { ...target, hashtags };
+}
+
+// Re-crawls every city config with a "schedule", re-reading each config when
+// its run starts so edits apply without a restart
+function runScheduled({ overrides, fetch, postSignalsLlm }) {
+    const configs = listCityConfigs().filter(c => c.schedule);
+    if (configs.length === 0) throw new Error('No city config has a "schedule" — add one, e.g. "schedule": "0 3 * * 1"');
+
+    // Runs share one Apify account, so a city whose turn comes while another
+    // is crawling waits for it
+    let queue = Promise.resolve();
+    const jobs = configs.map(({ city, schedule }) => ({
+        name: `dragnet ${city}`,
+        cron: schedule,
+        run: () => {
+            queue = queue.catch(() => {}).then(async () => {
+                const config = await resolveCityConfig({ city, overrides });
+                // Each run starts from scratch: a checkpoint left by an
+                // interrupted run is from an earlier cycle (or corrupt), and
+                // resuming it would re-save stale profiles as fresh
+                await runAggressiveDragnet(config, { ...fetch, postSignalsLlm, restart: true });
+            });
+            return queue;
         }
+    }));
+
+    console.log(`\n⏰ Scheduler started for ${jobs.length} cities:`);
+    jobs.forEach(job => console.log(`   → ${job.name} | ${job.cron} | next: ${nextCronRun(job.cron).toLocaleString()}`));
+    startScheduler(jobs, {
+        onError: (job, err) => console.error(`\n❌ ${job.name} failed: ${err.message}`)
+    });
+}
 
-        // Step 3: Save ALL profiles to Supabase
-        const { saved, errors } = await saveAllProfiles(profiles);
-
-        // Final Report
-        const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-
-        console.log('\n');
-        console.log('╔══════════════════════════════════════════════════════════════════════╗');
-        console.log('║                   🎯 AGGRESSIVE DRAGNET COMPLETE!                    ║');
-        console.log('╠══════════════════════════════════════════════════════════════════════╣');
-        console.log(`║  🏷️  Hashtags scanned:      ${CITY_HASHTAGS.length.toString().padEnd(41)}║`);
-        console.log(`║  📬  Posts analyzed:        ~${(CITY_HASHTAGS.length * POSTS_PER_HASHTAG).toString().padEnd(40)}║`);
-        console.log(`║  👤  Unique usernames:      ${usernames.length.toString().padEnd(41)}║`);
-        console.log(`║  📥  Profiles fetched:      ${profiles.length.toString().padEnd(41)}║`);
-        console.log(`║  ✅  Saved to database:     ${saved.toString().padEnd(41)}║`);
-        console.log(`║  ❌  Errors:                ${errors.toString().padEnd(41)}║`);
-        console.log(`║  ⏱️   Duration:             ${(duration + ' minutes').padEnd(41)}║`);
-        console.log('╚══════════════════════════════════════════════════════════════════════╝');
-        console.log('\n💡 Tip: Use Supabase to filter by signal_score > 20 for quality leads!\n');
-
-    } catch (error) {
+async function main(argv) {
+    const args = parseCliArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (args.schedule) {
+        runScheduled(args);
+        return;
+    }
+    const config = await resolveCityConfig(args);
+    const out = args.out || path.join(DRAGNET_STATE_DIR, `${citySlug(config.city)}.dry-run.json`);
+    if (args.dryRun) fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    await runAggressiveDragnet(config, { ...args.fetch, steps: args.steps, dryRun: args.dryRun, out, restart: args.restart, postSignalsLlm: args.postSignalsLlm });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
         console.error('\n❌ Fatal error:', error.message);
         process.exit(1);
-    }
+    });
 }
 
-// Run the aggressive dragnet
-runAggressiveDragnet();
+module.exports = { runAggressiveDragnet, collectUsernamesFromHashtags, fetchProfileDetails, saveAllProfiles };
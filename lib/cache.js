@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗄️ RESPONSE CACHE
+// Caches CSE pages (keyed on provider + exact query + start offset), LLM
+// responses (keyed on provider + model + prompt hash) and mined web pages
+// (keyed on URL) so re-running a city doesn't re-spend quota. Backed by memory (default) or JSON files on disk.
+//
+//   CACHE_STORE=memory|disk|off    CACHE_DIR=.cache
+//   SEARCH_CACHE_TTL_HOURS=24      LLM_CACHE_TTL_HOURS=168
+//   PAGE_CACHE_TTL_HOURS=24
+// ═══════════════════════════════════════════════════════════════════════════
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TTL_MS = {
+    search: (parseFloat(process.env.SEARCH_CACHE_TTL_HOURS) || 24) * HOUR_MS,
+    llm: (parseFloat(process.env.LLM_CACHE_TTL_HOURS) || 168) * HOUR_MS,
+    page: (parseFloat(process.env.PAGE_CACHE_TTL_HOURS) || 24) * HOUR_MS,
+};
+
+const MAX_MEMORY_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000;
+
+function hashKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function createMemoryStore() {
+    const entries = new Map();
+    return {
+        name: 'memory',
+        async get(namespace, key) {
+            const id = `${namespace}:${key}`;
+            const entry = entries.get(id);
+            if (!entry) return undefined;
+            if (entry.expiresAt < Date.now()) {
+                entries.delete(id);
+                return undefined;
+            }
+            return entry.value;
+        },
+        async set(namespace, key, value, ttlMs) {
+            const id = `${namespace}:${key}`;
+            entries.delete(id);
+            entries.set(id, { value, expiresAt: Date.now() + ttlMs });
+            // Map keeps insertion order, so the first key is the oldest write
+            if (entries.size > MAX_MEMORY_ENTRIES) entries.delete(entries.keys().next().value);
+        }
+    };
+}
+
+function createDiskStore(dir) {
+    const fileFor = (namespace, key) => path.join(dir, namespace, `${key}.json`);
+    return {
+        name: 'disk',
+        async get(namespace, key) {
+            const file = fileFor(namespace, key);
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                if (entry.expiresAt < Date.now()) {
+                    await fs.promises.unlink(file).catch(() => {});
+                    return undefined;
+                }
+                return entry.value;
+            } catch (_) {
+                return undefined;
+            }
+        },
+        async set(namespace, key, value, ttlMs) {
+            const file = fileFor(namespace, key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify({ expiresAt: Date.now() + ttlMs, value }));
+        }
+    };
+}
+
+function createStore(kind = process.env.CACHE_STORE || 'memory') {
+    if (kind === 'off') return null;
+    if (kind === 'disk') return createDiskStore(path.resolve(process.env.CACHE_DIR || '.cache'));
+    return createMemoryStore();
+}
+
+const store = createStore();
+
+function emptyStats() {
+    return {
+        search: { hits: 0, misses: 0 },
+        llm: { hits: 0, misses: 0 },
+        page: { hits: 0, misses: 0 },
+    };
+}
+
+// Returns the cached value for `keyParts`, or runs `fn` and caches its result.
+// With `fresh` set the lookup is skipped but the new result still refreshes the
+// cache. Failures are never cached, nor are results `keep(value)` rejects.
+// `stats` is an emptyStats() object to tally.
+async function cached(namespace, keyParts, fn, { fresh = false, stats, keep = () => true } = {}) {
+    if (!store) return fn();
+
+    const key = hashKey(keyParts);
+    if (!fresh) {
+        const hit = await store.get(namespace, key);
+        if (hit !== undefined) {
+            if (stats) stats[namespace].hits++;
+            return hit;
+        }
+    }
+
+    if (stats) stats[namespace].misses++;
+    const value = await fn();
+    if (!keep(value)) return value;
+    await store.set(namespace, key, value, TTL_MS[namespace]).catch(err => {
+        console.error(`   ⚠️ Cache write failed (${namespace}): ${err.message}`);
+    });
+    return value;
+}
+
+module.exports = { cached, emptyStats, cacheStoreName: store ? store.name : 'off' };
@@ -0,0 +1,71 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🏷️ ENTITY CATEGORIES
+// The fixed set the classifier may assign; the UI colours badges by these.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CATEGORIES = [
+    'Run Club',
+    'Fitness Club',
+    'Sports Club',
+    'Yoga/Wellness',
+    'Event',
+    'Hybrid Studio',
+    'Community',
+    'Coach/Trainer',
+    'Brand',
+];
+
+// Free-text labels the models tend to produce instead of the exact enum value.
+// Checked in order, so more specific patterns come first.
+const CATEGORY_ALIASES = [
+    [/coach|trainer|instructor|influencer|athlete/, 'Coach/Trainer'],
+    [/event|race|marathon|meetup|tournament/, 'Event'],
+    [/brand|store|shop|apparel|gear|nutrition/, 'Brand'],
+    [/yoga|wellness|meditat|pilates|breath/, 'Yoga/Wellness'],
+    [/run|jog/, 'Run Club'],
+    [/hybrid|studio|bootcamp/, 'Hybrid Studio'],
+    [/gym|fitness|crossfit|calisthenics|strength/, 'Fitness Club'],
+    [/sport|cycl|badminton|tennis|football|pickleball|swim|climb|boulder|frisbee|basketball|martial|boxing/, 'Sports Club'],
+    [/community|group|collective|crew|tribe|club/, 'Community'],
+];
+
+// Returns the canonical category, or null when nothing matches
+function normalizeCategory(value) {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+    const exact = CATEGORIES.find(c => c.toLowerCase() === text);
+    if (exact) return exact;
+    const alias = CATEGORY_ALIASES.find(([pattern]) => pattern.test(text));
+    return alias ? alias[1] : null;
+}
+
+// How far a search may stray from what the user asked for:
+//   focused   — only the activity/entity type in the query
+//   related   — that plus closely adjacent activities
+//   ecosystem — every fitness/wellness/sports community in the city
+const SCOPES = ['focused', 'related', 'ecosystem'];
+const DEFAULT_SCOPE = 'ecosystem';
+
+function normalizeScope(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_SCOPE;
+    const scope = String(value).trim().toLowerCase();
+    if (!SCOPES.includes(scope)) throw new Error(`scope must be one of: ${SCOPES.join(', ')}`);
+    return scope;
+}
+
+// Category allow-list from an array or comma-separated string. Unlike
+// normalizeCategory, unknown names are an error: a typo in a filter would
+// otherwise silently drop every result. Returns null for "no filter".
+function normalizeCategoryFilter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const categories = new Set();
+    for (const item of list.map(v => String(v).trim()).filter(Boolean)) {
+        const category = normalizeCategory(item);
+        if (!category) throw new Error(`Unknown category "${item}" (expected: ${CATEGORIES.join(', ')})`);
+        categories.add(category);
+    }
+    return categories.size > 0 ? CATEGORIES.filter(c => categories.has(c)) : null;
+}
+
+module.exports = { CATEGORIES, SCOPES, normalizeCategory, normalizeScope, normalizeCategoryFilter };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { expandQuery } = require('./expansion');
+const { parseCron } = require('./scheduler');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🏙️ DRAGNET CITY CONFIG
+// One JSON file per city in config/cities/ (override with CITY_CONFIG_DIR):
+//   {
+//     "city": "Visakhapatnam",                 — default city for saved profiles
+//     "aliases": ["Vizag", "Waltair"],         — also count as "in the city" when scoring
+//     "known_handles": { "handle": "Name" },   — or a plain array of handles
+//     "hashtags": { "running": [...], ... },   — or a plain array
+//     "posts_per_hashtag": 100,
+//     "profile_batch_size": 50,
+//     "refresh_after_days": 7,                 — optional; see lib/club-history.js
+//     "schedule": "0 3 * * 1"                  — optional; cron for `--schedule`
+//   }
+// A city is looked up by file name ("visakhapatnam") or by name/alias ("Vizag").
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CITY_CONFIG_DIR = process.env.CITY_CONFIG_DIR || path.join(__dirname, '..', 'config', 'cities');
+
+const DEFAULT_POSTS_PER_HASHTAG = 100;
+const DEFAULT_PROFILE_BATCH_SIZE = 50;
+
+// "Visakhapatnam" / "New Delhi" → "visakhapatnam" / "new-delhi"
+function citySlug(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+function normalizeHashtag(tag) {
+    return String(tag).replace(/^#/, '').trim().toLowerCase();
+}
+
+function positiveInt(value, field, fallback, { allowZero = false } = {}) {
+    if (value === undefined || value === null) return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < (allowZero ? 0 : 1)) {
+        throw new Error(`${field} must be a ${allowZero ? 'non-negative' : 'positive'} integer`);
+    }
+    return n;
+}
+
+// Raw file contents → { city, aliases, locations, knownHandles, hashtags,
+// postsPerHashtag, profileBatchSize, refreshAfterDays, schedule }
+function normalizeCityConfig(raw, source = 'city config') {
+    if (!raw || typeof raw !== 'object' || typeof raw.city !== 'string' || !raw.city.trim()) {
+        throw new Error(`${source}: "city" is required`);
+    }
+    const city = raw.city.trim();
+    const aliases = (raw.aliases || []).map(a => String(a).trim()).filter(Boolean);
+
+    const handles = raw.known_handles || [];
+    const knownHandles = (Array.isArray(handles) ? handles : Object.keys(handles))
+        .map(h => String(h).replace(/^@/, '').trim())
+        .filter(Boolean);
+
+    // Grouped hashtags are flattened; groups only exist to keep the file readable
+    const tags = raw.hashtags || [];
+    const hashtags = [...new Set((Array.isArray(tags) ? tags : Object.values(tags).flat())
+        .map(normalizeHashtag)
+        .filter(Boolean))];
+
+    const schedule = raw.schedule ? String(raw.schedule).trim() : null;
+    if (schedule) {
+        try {
+            parseCron(schedule);
+        } catch (err) {
+            throw new Error(`${source}: schedule: ${err.message}`);
+        }
+    }
+
+    return {
+        city,
+        aliases,
+        locations: [city, ...aliases],
+        knownHandles: [...new Set(knownHandles)],
+        hashtags,
+        postsPerHashtag: positiveInt(raw.posts_per_hashtag, 'posts_per_hashtag', DEFAULT_POSTS_PER_HASHTAG),
+        profileBatchSize: positiveInt(raw.profile_batch_size, 'profile_batch_size', DEFAULT_PROFILE_BATCH_SIZE),
+        // null → DRAGNET_REFRESH_DAYS
+        refreshAfterDays: positiveInt(raw.refresh_after_days, 'refresh_after_days', null, { allowZero: true }),
+        schedule,
+    };
+}
+
+function listCityConfigFiles() {
+    if (!fs.existsSync(CITY_CONFIG_DIR)) return [];
+    return fs.readdirSync(CITY_CONFIG_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => path.join(CITY_CONFIG_DIR, f));
+}
+
+function readCityConfig(file) {
+    try {
+        return { ...normalizeCityConfig(JSON.parse(fs.readFileSync(file, 'utf8')), path.basename(file)), file };
+    } catch (err) {
+        if (err instanceof SyntaxError) throw new Error(`${path.basename(file)}: ${err.message}`);
+        throw err;
+    }
+}
+
+function listCityConfigs() {
+    return listCityConfigFiles().map(readCityConfig);
+}
+
+// Config for `city` (slug, name or alias). Returns null when no file matches.
+function findCityConfig(city) {
+    const slug = citySlug(city);
+    if (!slug) return null;
+
+    const direct = path.join(CITY_CONFIG_DIR, `${slug}.json`);
+    if (fs.existsSync(direct)) return readCityConfig(direct);
+
+    for (const file of listCityConfigFiles()) {
+        const config = readCityConfig(file);
+        if (config.locations.some(name => citySlug(name) === slug)) return config;
+    }
+    return null;
+}
+
+// Config for a city with no file yet: no seeds or hashtags, default limits
+function emptyCityConfig(city) {
+    return { ...normalizeCityConfig({ city }), file: null };
+}
+
+// Hashtags from the omni-search query expansion (lib/expansion.js): the
+// model's suggested hashtags plus any #tags inside its search queries.
+// `ctx` is an omni-search style context ({ llm, llmStats, cacheStats, ... }).
+async function generateCityHashtags(city, ctx = {}) {
+    const expansion = await expandQuery(`fitness, sports and wellness communities in ${city}`, { scope: 'ecosystem', ...ctx });
+    if (expansion.fallback) throw new Error('query expansion failed; no hashtags generated');
+
+    const fromQueries = expansion.queries.flatMap(q => q.match(/#[\p{L}\p{N}_]+/gu) || []);
+    return [...new Set([...expansion.hashtags, ...fromQueries].map(normalizeHashtag).filter(Boolean))];
+}
+
+// Writes `config` back to CITY_CONFIG_DIR/<slug>.json, keeping fields of an
+// existing file that the normalized form doesn't carry (handle names, groups)
+function saveCityConfig(config, { hashtags }) {
+    const file = config.file || path.join(CITY_CONFIG_DIR, `${citySlug(config.city)}.json`);
+    const raw = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : {
+            city: config.city,
+            aliases: config.aliases,
+            known_handles: config.knownHandles,
+            hashtags: [],
+            posts_per_hashtag: config.postsPerHashtag,
+            profile_batch_size: config.profileBatchSize,
+        };
+
+    // New tags go into a "generated" group so hand-curated groups stay intact
+    const existing = new Set(normalizeCityConfig(raw, path.basename(file)).hashtags);
+    const added = hashtags.filter(t => !existing.has(t));
+    if (!raw.hashtags) raw.hashtags = [];
+    if (Array.isArray(raw.hashtags)) {
+        raw.hashtags.push(...added);
+    } else {
+        raw.hashtags.generated = [...(raw.hashtags.generated || []), ...added];
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(raw, null, 2) + '\n');
+    return { file, added: added.length };
+}
+
+module.exports = {
+    findCityConfig,
+    listCityConfigs,
+    emptyCityConfig,
+    normalizeCityConfig,
+    generateCityHashtags,
+    saveCityConfig,
+    citySlug,
+    CITY_CONFIG_DIR,
+};
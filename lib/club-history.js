@@ -0,0 +1,56 @@
+const storage = require('./storage');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📜 CLUB HISTORY
+// Each dragnet refresh of a profile stamps clubs.last_refreshed_at and appends
+// a snapshot to `club_history` (followers, bio, latest post) with the change
+// since the club's previous row. The `club_trends` view turns the snapshots
+// into growing / declining / dormant. Re-crawls skip profiles refreshed within
+// DRAGNET_REFRESH_DAYS (default 7). See supabase/migrations for the schema.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const REFRESH_AFTER_DAYS = Number.parseInt(process.env.DRAGNET_REFRESH_DAYS, 10) >= 0
+    ? Number.parseInt(process.env.DRAGNET_REFRESH_DAYS, 10)
+    : 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Handles whose profile was refreshed within the last `days` days
+async function recentlyRefreshed(handles, days = REFRESH_AFTER_DAYS) {
+    if (!storage || days <= 0 || handles.length === 0) return new Set();
+    const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+    const rows = await storage.findByKeys('clubs', 'instagram_handle', handles, {
+        columns: 'instagram_handle',
+        since: { column: 'last_refreshed_at', value: cutoff }
+    });
+    return new Set(rows.map(r => r.instagram_handle));
+}
+
+// handle → { followers, bio } as currently stored, for diffing before an upsert
+async function currentSnapshots(handles) {
+    if (!storage || handles.length === 0) return new Map();
+    const rows = await storage.findByKeys('clubs', 'instagram_handle', handles, { columns: 'instagram_handle, followers, bio' });
+    return new Map(rows.map(r => [r.instagram_handle, r]));
+}
+
+// One club_history row for a freshly saved clubs row
+function historyRow(club, previous) {
+    const hadFollowers = previous && previous.followers !== null && previous.followers !== undefined;
+    return {
+        instagram_handle: club.instagram_handle,
+        captured_at: club.last_refreshed_at,
+        followers: club.followers,
+        followers_delta: hadFollowers ? club.followers - previous.followers : null,
+        bio: club.bio,
+        bio_changed: Boolean(previous && (previous.bio || '') !== (club.bio || '')),
+        last_post_at: club.last_post_at || null
+    };
+}
+
+async function recordHistory(rows) {
+    if (!storage || rows.length === 0) return { recorded: 0, errors: [] };
+    const { saved, errors } = await storage.insert('club_history', rows);
+    return { recorded: saved, errors: errors.map(({ index, message }) => ({ handle: rows[index].instagram_handle, message })) };
+}
+
+module.exports = { recentlyRefreshed, currentSnapshots, historyRow, recordHistory, REFRESH_AFTER_DAYS };
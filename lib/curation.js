@@ -0,0 +1,172 @@
+const storage = require('./storage');
+const { normalizeHandle } = require('./handles');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📋 LEAD CURATION
+// The outreach team's layer on top of stored clubs: a status (new →
+// contacted → partnered, or rejected), free-form notes, tags and an owner.
+// Lives in the `clubs` row (lead_status, notes, tags, owner, curated_at) and
+// is exposed to the API and UI as `curation: { status, notes, tags, owner,
+// curated_at }` on each lead.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const LEAD_STATUSES = ['new', 'contacted', 'partnered', 'rejected'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTES_LENGTH = 4000;
+const MAX_OWNER_LENGTH = 80;
+
+const CURATION_COLUMNS = 'instagram_handle, lead_status, notes, tags, owner, curated_at';
+const LEAD_COLUMNS = 'instagram_handle, name, category, subcategory, followers, followers_display, city, ' +
+    'signal_score, reasoning, bio, profile_url, logo_url, verification_status, verification_evidence_url, meeting_summary, ' +
+    'last_seen_at, last_refreshed_at, lead_status, notes, tags, owner, curated_at';
+
+// Array or comma-separated string → lowercase, trimmed, unique tags
+function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list)) throw new Error('tags must be an array or a comma-separated string');
+    const clean = [...new Set(list.map(t => String(t).trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+    const long = clean.find(t => t.length > MAX_TAG_LENGTH);
+    if (long) throw new Error(`Tag "${long.slice(0, 20)}…" is longer than ${MAX_TAG_LENGTH} characters`);
+    if (clean.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags per lead`);
+    return clean;
+}
+
+function normalizeStatus(status) {
+    const clean = String(status).trim().toLowerCase();
+    if (!LEAD_STATUSES.includes(clean)) throw new Error(`Unknown status "${status}" (expected: ${LEAD_STATUSES.join(', ')})`);
+    return clean;
+}
+
+// Request body → the changes it asks for. Accepts status, notes, owner, tags
+// (replaces) and add_tags / remove_tags; null or "" clears notes and owner.
+// Throws on invalid input.
+function normalizeCurationChanges(body = {}) {
+    const changes = {};
+    if (body.status !== undefined) changes.status = normalizeStatus(body.status);
+    if (body.notes !== undefined) {
+        const notes = body.notes === null ? '' : String(body.notes).trim();
+        if (notes.length > MAX_NOTES_LENGTH) throw new Error(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+        changes.notes = notes || null;
+    }
+    if (body.owner !== undefined) {
+        const owner = body.owner === null ? '' : String(body.owner).trim();
+        if (owner.length > MAX_OWNER_LENGTH) throw new Error(`owner must be at most ${MAX_OWNER_LENGTH} characters`);
+        changes.owner = owner || null;
+    }
+    if (body.tags !== undefined) changes.tags = normalizeTags(body.tags ?? []);
+    if (body.add_tags !== undefined) changes.addTags = normalizeTags(body.add_tags);
+    if (body.remove_tags !== undefined) changes.removeTags = normalizeTags(body.remove_tags);
+    if (Object.keys(changes).length === 0) {
+        throw new Error('Nothing to update: send status, notes, owner, tags, add_tags or remove_tags');
+    }
+    return changes;
+}
+
+// Stored clubs row → its curation fields (rows from before curation count as new)
+function curationOf(row) {
+    return {
+        status: row.lead_status || 'new',
+        notes: row.notes || null,
+        tags: row.tags || [],
+        owner: row.owner || null,
+        curated_at: row.curated_at || null
+    };
+}
+
+function toLead(row) {
+    const { lead_status, notes, tags, owner, curated_at, ...club } = row;
+    return { ...club, curation: curationOf(row) };
+}
+
+// Applies `changes` (normalizeCurationChanges output) to each handle's club.
+// → { updated: [lead], missing: [handle], errors: [{ handle, message }] }
+async function updateLeads(handles, changes) {
+    const wanted = [...new Set(handles.map(h => normalizeHandle(h)).filter(Boolean))];
+    const existing = new Map((await storage.findByKeys('clubs', 'instagram_handle', wanted, { columns: CURATION_COLUMNS }))
+        .map(row => [row.instagram_handle, row]));
+    const now = new Date().toISOString();
+
+    const rows = [...existing.values()].map(row => {
+        const update = { instagram_handle: row.instagram_handle, curated_at: now };
+        if (changes.status) update.lead_status = changes.status;
+        if (changes.notes !== undefined) update.notes = changes.notes;
+        if (changes.owner !== undefined) update.owner = changes.owner;
+        if (changes.tags || changes.addTags || changes.removeTags) {
+            const tags = new Set(changes.tags || row.tags || []);
+            (changes.addTags || []).forEach(t => tags.add(t));
+            (changes.removeTags || []).forEach(t => tags.delete(t));
+            update.tags = [...tags].slice(0, MAX_TAGS);
+        }
+        return update;
+    });
+
+    const { saved, errors } = await storage.update('clubs', rows, { key: 'instagram_handle' });
+    const fresh = saved.length > 0 ? await storage.findByKeys('clubs', 'instagram_handle', saved, { columns: LEAD_COLUMNS }) : [];
+    return {
+        updated: fresh.map(toLead),
+        missing: wanted.filter(h => !existing.has(h)),
+        errors: errors.map(({ key, message }) => ({ handle: key, message }))
+    };
+}
+
+async function getLead(handle) {
+    const [lead] = await getLeads([handle]);
+    return lead || null;
+}
+
+// Stored leads for `handles`; handles without a club are left out
+async function getLeads(handles) {
+    const clean = [...new Set(handles.map(h => normalizeHandle(h)).filter(Boolean))];
+    if (clean.length === 0) return [];
+    const rows = await storage.findByKeys('clubs', 'instagram_handle', clean, { columns: LEAD_COLUMNS });
+    return rows.map(toLead);
+}
+
+// Highest signal score first. Filters: status, tag, owner ("none" = unassigned), city.
+async function listLeads({ status, tag, owner, city, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    // Rows stored before curation existed have no status and count as new
+    if (status) where.lead_status = normalizeStatus(status) === 'new' ? ['new', null] : normalizeStatus(status);
+    if (owner) where.owner = owner === 'none' ? null : owner;
+    if (city) where.city = city;
+    const rows = await storage.list('clubs', {
+        columns: LEAD_COLUMNS,
+        where,
+        contains: tag ? { column: 'tags', value: normalizeTags([tag])[0] } : undefined,
+        orderBy: 'signal_score',
+        ascending: false,
+        limit,
+        offset
+    });
+    return rows.map(toLead);
+}
+
+// Every lead matching the filters (up to `max`), a page at a time: Supabase
+// caps a single select at 1000 rows
+async function listAllLeads(filters = {}, { max = 10000, pageSize = 1000 } = {}) {
+    const leads = [];
+    while (leads.length < max) {
+        const page = await listLeads({ ...filters, limit: Math.min(pageSize, max - leads.length), offset: leads.length });
+        leads.push(...page);
+        if (page.length < pageSize) break;
+    }
+    return leads;
+}
+
+// Adds the stored `curation` to omni-search results whose club is in the lead
+// store, so a new search shows which clubs are already being worked
+async function attachCuration(results) {
+    if (!storage) return results;
+    const handles = [...new Set(results.map(r => normalizeHandle(r.handle, r.url)).filter(Boolean))];
+    if (handles.length === 0) return results;
+    const rows = await storage.findByKeys('clubs', 'instagram_handle', handles, { columns: CURATION_COLUMNS });
+    const byHandle = new Map(rows.map(row => [row.instagram_handle, curationOf(row)]));
+    return results.map(r => {
+        const curation = byHandle.get(normalizeHandle(r.handle, r.url));
+        return curation ? { ...r, curation } : r;
+    });
+}
+
+module.exports = { LEAD_STATUSES, normalizeCurationChanges, updateLeads, getLead, getLeads, listLeads, listAllLeads, attachCuration };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 💾 DRAGNET CHECKPOINTS
+// A dragnet run spends Apify credits per hashtag and per profile batch, so
+// progress is written to DRAGNET_STATE_DIR/<city>.json after each one. An
+// interrupted run picks up from there; later steps (`profiles`, `save`) read
+// their input from the same file when run on their own.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DRAGNET_STATE_DIR = process.env.DRAGNET_STATE_DIR || path.join(__dirname, '..', '.dragnet');
+
+function emptyState(city) {
+    return {
+        city,
+        started_at: new Date().toISOString(),
+        updated_at: null,
+        completed_hashtags: [],
+        // username → hashtags (or 'known') it was found under
+        usernames: {},
+        fetched_usernames: [],
+        profiles: [],
+        // username → slim hashtag posts (see lib/post-signals.js normalizePost)
+        posts: {}
+    };
+}
+
+// { file, state, resumed, save(), clear() } for `slug`. `restart` discards
+// any previous progress.
+function openCheckpoint(slug, city, { restart = false } = {}) {
+    const file = path.join(DRAGNET_STATE_DIR, `${slug}.json`);
+    let state = null;
+    if (restart && fs.existsSync(file)) {
+        console.log(`   🗑️ Discarding checkpoint ${file}`);
+    } else if (fs.existsSync(file)) {
+        try {
+            state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Corrupt checkpoint ${file} (${err.message}) — rerun with --restart`);
+        }
+    }
+
+    // Checkpoints written before a field existed get its empty value
+    const checkpoint = {
+        file,
+        state: { ...emptyState(city), ...state },
+        resumed: Boolean(state),
+        // Write-then-rename so a crash mid-write never leaves a truncated file
+        save() {
+            checkpoint.state.updated_at = new Date().toISOString();
+            fs.mkdirSync(DRAGNET_STATE_DIR, { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint.state));
+            fs.renameSync(`${file}.tmp`, file);
+        },
+        clear() {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    };
+    return checkpoint;
+}
+
+module.exports = { openCheckpoint, DRAGNET_STATE_DIR };
@@ -0,0 +1,197 @@
+const { normalizeHandle } = require('./handles');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧬 ENTITY RESOLUTION
+// Collapses the classifier's and extractor's output into one record per real
+// club. "@vizagruncollective", "vizagruncollective", a trailing-slash profile
+// URL and "Vizag Run Collective" from a listicle all resolve to the same
+// entity: handles are normalised, names are fuzzy-matched, and every source
+// that mentioned the club is kept in `sources`.
+//
+// Expects the entities of a single city (one omni-search run) — names are only
+// distinctive within a city, so "Run Club" in two cities must not be merged.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Bigram similarity above which two compacted names count as the same club
+const NAME_SIMILARITY_THRESHOLD = 0.9;
+// Shorter names ("runclub", "fitfam") are too generic to fuzzy-match
+const MIN_FUZZY_LENGTH = 8;
+
+// Tokens that say nothing about which club this is
+const FILLER_WORDS = new Set(['the', 'official', 'ig', 'insta', 'instagram']);
+
+// Fields taken from the highest-ranked source that has them
+const MERGED_FIELDS = ['category', 'subcategory', 'followers', 'logo', 'reasoning', 'verification'];
+
+// "The Vizag Run Collective™" → ['vizag', 'run', 'collective']
+function nameTokens(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/^@/, '')
+        .split(/[^a-z0-9]+/)
+        .filter(t => t && !FILLER_WORDS.has(t));
+}
+
+// Handles drop spaces and often use . or _ as separators
+function compactHandle(handle) {
+    return handle ? handle.replace(/[._]/g, '') : null;
+}
+
+function bigrams(text) {
+    const grams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const gram = text.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams (1 = identical)
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const gramsA = bigrams(a);
+    let overlap = 0;
+    for (const [gram, count] of bigrams(b)) {
+        overlap += Math.min(count, gramsA.get(gram) || 0);
+    }
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+function describe(entity, index) {
+    const handle = normalizeHandle(entity.handle, entity.url);
+    const tokens = nameTokens(entity.name);
+    return {
+        entity,
+        index,
+        handle,
+        compactHandle: compactHandle(handle),
+        // Order-insensitive, so "Run Collective Vizag" matches "Vizag Run Collective"
+        sortedName: [...tokens].sort().join(' '),
+        compactName: tokens.join('')
+    };
+}
+
+function fuzzyEqual(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+    return Math.min(a.length, b.length) >= MIN_FUZZY_LENGTH && similarity(a, b) >= NAME_SIMILARITY_THRESHOLD;
+}
+
+function sameClub(a, b) {
+    if (a.handle && b.handle) return a.handle === b.handle;
+    if (a.sortedName && a.sortedName === b.sortedName) return true;
+    // A listicle name against a profile handle: "Vizag Run Collective" ~ @vizag.run.collective
+    return fuzzyEqual(a.compactName, b.compactName) ||
+        fuzzyEqual(a.compactName, b.compactHandle) ||
+        fuzzyEqual(a.compactHandle, b.compactName);
+}
+
+// IG classifications carry followers and logos, so they outrank web mentions;
+// after that, records with a handle and more filled-in fields win.
+function rank(item) {
+    const filled = MERGED_FIELDS.filter(f => item.entity[f]).length;
+    return (item.entity.strategy === 'IG' ? 100 : 0) + (item.handle ? 10 : 0) + filled;
+}
+
+function mergeCluster(items) {
+    const ordered = [...items].sort((a, b) => rank(b) - rank(a) || a.index - b.index);
+    const primary = ordered[0];
+    const handle = ordered.find(i => i.handle)?.handle || null;
+    const merged = { ...primary.entity };
+
+    // Prefer a real display name over one the schema backfilled from the handle
+    const named = ordered.find(i => i.entity.name && normalizeHandle(i.entity.name) !== i.handle);
+    merged.name = (named || primary).entity.name;
+    for (const field of MERGED_FIELDS) {
+        merged[field] = ordered.find(i => i.entity[field])?.entity[field] ?? merged[field] ?? null;
+    }
+    if (handle) {
+        merged.handle = `@${handle}`;
+        merged.url = `https://instagram.com/${handle}`;
+    }
+    merged.sourceQuery = ordered.find(i => i.entity.sourceQuery && i.entity.sourceQuery !== 'Discovery')
+        ?.entity.sourceQuery || merged.sourceQuery;
+
+    // One entry per strategy + query + page that mentioned this club. Already-resolved
+    // records bring their own sources, so resolving twice loses nothing.
+    const seen = new Set();
+    merged.sources = [];
+    for (const { entity } of ordered) {
+        const sources = entity.sources || [{
+            strategy: entity.strategy || null,
+            source_query: entity.sourceQuery || null,
+            source_url: entity.sourceUrl || null,
+            name: entity.name || null,
+            reasoning: entity.reasoning || null
+        }];
+        for (const source of sources) {
+            const key = `${source.strategy}|${source.source_query}|${source.source_url}|${source.name}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            merged.sources.push(source);
+        }
+    }
+    return merged;
+}
+
+// True when `name` plausibly refers to the Instagram profile with this display
+// name and handle: the merge rules, or every word of a reasonably specific
+// name appearing in the profile name ("Beach Yogis" → "Beach Yogis Vizag")
+function matchesProfile(name, profileName, profileHandle) {
+    const mention = describe({ name }, 0);
+    const profile = describe({ name: profileName, handle: profileHandle }, 1);
+    if (sameClub(mention, profile)) return true;
+
+    const tokens = nameTokens(name);
+    const profileTokens = new Set(nameTokens(profileName));
+    return tokens.length >= 2 && mention.compactName.length >= MIN_FUZZY_LENGTH &&
+        tokens.every(t => profileTokens.has(t));
+}
+
+// Returns one merged record per club, in order of first appearance.
+function resolveEntities(entities) {
+    const items = entities.map(describe);
+
+    // Union-find over entity indices; a cluster may hold at most one handle
+    const parent = items.map((_, i) => i);
+    const clusterHandle = items.map(item => item.handle);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB) return;
+        const handleA = clusterHandle[rootA];
+        const handleB = clusterHandle[rootB];
+        if (handleA && handleB && handleA !== handleB) return;
+        const [root, child] = rootA < rootB ? [rootA, rootB] : [rootB, rootA];
+        parent[child] = root;
+        clusterHandle[root] = handleA || handleB;
+    };
+
+    // Exact handle matches first, so fuzzy name matches join complete clusters
+    const byHandle = new Map();
+    for (const item of items) {
+        if (!item.handle) continue;
+        if (byHandle.has(item.handle)) union(byHandle.get(item.handle), item.index);
+        else byHandle.set(item.handle, item.index);
+    }
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (sameClub(items[i], items[j])) union(i, j);
+        }
+    }
+
+    const clusters = new Map();
+    for (const item of items) {
+        const root = find(item.index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(item);
+    }
+    return [...clusters.values()].map(mergeCluster);
+}
+
+module.exports = { resolveEntities, matchesProfile, similarity, nameTokens };
@@ -0,0 +1,205 @@
+const { callStructured } = require('./llm/call');
+const { EXPANSION_SCHEMA } = require('./structured');
+const { normalizeScope } = require('./categories');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧠 PHASE 1: AI QUERY EXPANSION
+// Generates comprehensive search queries across categories, neighborhoods,
+// popular accounts, hashtags, and discovery patterns. Omni-search runs the
+// queries; the dragnet uses the hashtags to build a city's hashtag list.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Scope-specific parts of the expansion prompt (see SCOPES in lib/categories.js).
+// `sections` become the prompt's query categories A, B, C...; each is
+// [title, [min, max] queries, guidance lines], and the stated total is their sum.
+const EXPANSION_SCOPE_GUIDANCE = {
+    ecosystem: {
+        goal: 'ALL fitness, wellness, sports, and active lifestyle communities/clubs/events in a city',
+        critical: 'Even if the user mentions only ONE category (e.g., "run clubs"), you MUST STILL generate queries for ALL fitness/wellness/sports categories. The user wants to discover the ENTIRE fitness ecosystem in that city. "Run clubs in Bangalore" means "show me run clubs, cycling groups, yoga studios, CrossFit boxes, pickleball crews, dance fitness, martial arts, wellness communities, fitness brands, coaches, AND everything else in Bangalore." Always treat ANY fitness-related query as a request for the FULL spectrum of active lifestyle communities.',
+        coverage: 'Cover as many different sports and activities as possible',
+        mix: 'Mix specific (e.g., "CrossFit Indiranagar") with broad (e.g., "fitness community Bangalore")',
+        sections: [
+            ['DIRECT CATEGORY SEARCHES', [10, 12], [
+                'Cover EVERY fitness niche — running, cycling, yoga, CrossFit, calisthenics, swimming, hiking, trekking, martial arts, boxing, dance fitness, Zumba, pickleball, badminton, tennis, football, basketball, ultimate frisbee, bouldering, climbing, skateboarding, surfing, etc.',
+                'Format: "category CityName" or "category club CityName"'
+            ]],
+            ['NEIGHBORHOOD/AREA SPECIFIC', [6, 8], [
+                'Generate queries for the most popular neighborhoods in the city.',
+                'Format: "run club NeighborhoodName" or "fitness NeighborhoodName CityName"'
+            ]],
+            ['LISTICLE & DIRECTORY DISCOVERY', [6, 8], [
+                'These find blog posts and articles that LIST many clubs at once:',
+                '- "best fitness clubs in CityName"',
+                '- "top run clubs CityName 2024"',
+                '- "fitness communities in CityName list"',
+                '- "workout groups CityName reddit"',
+                '- "CityName fitness Instagram accounts to follow"',
+                '- "sports clubs in CityName directory"'
+            ]],
+            ['HASHTAG & SOCIAL DISCOVERY', [4, 6], [
+                '- "#CityNamefitness Instagram"',
+                '- "#CityNamerunners"',
+                '- "CityName fitness influencer"',
+                '- "CityName wellness coach"'
+            ]],
+            ['POPULAR & WELL-KNOWN ACCOUNTS', [4, 6], [
+                '- "most popular fitness pages CityName Instagram"',
+                '- "famous run clubs CityName"',
+                '- "trending fitness CityName"'
+            ]]
+        ]
+    },
+    related: {
+        goal: 'communities/clubs/events for the activity the user asked about AND closely adjacent activities in a city',
+        critical: 'Stay close to what the user asked for. Include the requested activity plus activities its members commonly also do — e.g. "run clubs" may extend to trail running, marathon training groups, triathlon and cycling crews, but NOT yoga studios, pickleball or fitness brands.',
+        coverage: 'Only cover the requested activity and closely adjacent ones',
+        mix: 'Mix specific (e.g., "trail running Indiranagar") with broad (e.g., "running community Bangalore")',
+        sections: [
+            ['DIRECT ACTIVITY SEARCHES', [6, 8], [
+                'Cover the requested activity and its closest neighbours only (sub-styles, training groups, adjacent endurance/skill disciplines).',
+                'Format: "activity CityName" or "activity club CityName"'
+            ]],
+            ['NEIGHBORHOOD/AREA SPECIFIC', [5, 7], [
+                'Pair the requested activity (or a close neighbour) with the most popular neighborhoods in the city.',
+                'Format: "activity club NeighborhoodName" or "activity NeighborhoodName CityName"'
+            ]],
+            ['LISTICLE & DIRECTORY DISCOVERY', [4, 6], [
+                'These find blog posts and articles that LIST many clubs of these activities at once:',
+                '- "best activity clubs in CityName"',
+                '- "activity groups CityName reddit"',
+                '- "CityName activity Instagram accounts to follow"'
+            ]],
+            ['HASHTAG & SOCIAL DISCOVERY', [3, 5], [
+                '- "#CityNameactivity Instagram"',
+                '- "CityName activity coach"'
+            ]],
+            ['POPULAR & WELL-KNOWN ACCOUNTS', [2, 4], [
+                '- "famous activity clubs CityName"',
+                '- "most popular activity groups CityName Instagram"'
+            ]]
+        ]
+    },
+    focused: {
+        goal: 'communities/clubs/events for EXACTLY the activity the user asked about in a city',
+        critical: 'Generate queries ONLY for the activity or entity type in the user query. "Run clubs in Bangalore" means run clubs, running groups and running coaches in Bangalore — NOT cycling, yoga, gyms or any other sport.',
+        coverage: 'Every query must be about the requested activity',
+        mix: 'Mix specific (e.g., "run club Indiranagar") with broad (e.g., "runners community Bangalore")',
+        sections: [
+            ['DIRECT ACTIVITY SEARCHES', [4, 6], [
+                'Use synonyms and variations of the requested activity only (e.g. "run club", "running group", "runners community", "morning runners").',
+                'Format: "activity CityName" or "activity club CityName"'
+            ]],
+            ['NEIGHBORHOOD/AREA SPECIFIC', [4, 6], [
+                'Pair the requested activity with the most popular neighborhoods in the city.',
+                'Format: "activity club NeighborhoodName"'
+            ]],
+            ['LISTICLE & DIRECTORY DISCOVERY', [3, 5], [
+                'These find blog posts and articles that LIST many clubs of the requested activity:',
+                '- "best activity clubs in CityName"',
+                '- "activity groups CityName reddit"'
+            ]],
+            ['HASHTAG & SOCIAL DISCOVERY', [2, 4], [
+                '- "#CityNameactivity Instagram"',
+                '- "CityName activity coach"'
+            ]],
+            ['POPULAR & WELL-KNOWN ACCOUNTS', [2, 4], [
+                '- "famous activity clubs CityName"'
+            ]]
+        ]
+    }
+};
+
+// "A) TITLE (n-m queries):" blocks plus the total they add up to
+function expansionSections(guidance) {
+    const text = guidance.sections.map(([title, [min, max], lines], i) =>
+        `${String.fromCharCode(65 + i)}) ${title} (${min}-${max} queries):\n` + lines.map(line => `   ${line}`).join('\n')
+    ).join('\n\n');
+    const min = guidance.sections.reduce((sum, [, [lo]]) => sum + lo, 0);
+    const max = guidance.sections.reduce((sum, [, [, hi]]) => sum + hi, 0);
+    return { text, total: `${min}-${max}` };
+}
+
+async function expandQuery(userQuery, ctx) {
+    const scope = normalizeScope(ctx.scope);
+    console.log(`\n🧠 PHASE 1: Expanding query with AI (${scope} scope)...`);
+
+    const guidance = EXPANSION_SCOPE_GUIDANCE[scope];
+    const sections = expansionSections(guidance);
+    const targetTypes = ctx.categories
+        ? `\nTARGET ENTITY TYPES: ${ctx.categories.join(', ')} — only generate queries likely to surface these kinds of accounts.\n`
+        : '';
+
+    const prompt = `
+You are an expert search query generator. Your job is to generate the MOST COMPREHENSIVE set of Google search queries possible to discover ${guidance.goal}.
+
+USER QUERY: "${userQuery}"
+
+CRITICAL: ${guidance.critical}
+${targetTypes}
+GENERATE QUERIES IN THESE CATEGORIES:
+
+${sections.text}
+
+RULES:
+- Generate ${sections.total} total queries (MORE IS BETTER for coverage)
+- Each query should be SHORT (2-6 words)
+- ${guidance.coverage}
+- ${guidance.mix}
+- Include both English and any locally relevant language terms
+
+RESPOND WITH ONLY A JSON OBJECT:
+{
+  "location": "City Name",
+  "neighborhoods": ["Area1", "Area2", ...],
+  "categories": ["Running", "Cycling", ...],
+  "intent": "brief description of user intent",
+  "queries": ["query1", "query2", ...],
+  "hashtags": ["cityrunners", "cityfitness", ...]
+}
+
+"hashtags": 15-25 Instagram hashtags (without #) that local communities matching the queries actually post under.
+`;
+
+    try {
+        const parsed = await callStructured(prompt, 'expansion', EXPANSION_SCHEMA, ctx);
+        console.log(`   ✅ AI generated ${parsed.queries.length} search queries`);
+        console.log(`   📍 Location: ${parsed.location}`);
+        console.log(`   🏘️  Neighborhoods: ${parsed.neighborhoods.join(', ')}`);
+        console.log(`   🏷️  Categories: ${parsed.categories.join(', ')}`);
+        console.log(`   🎯 Intent: ${parsed.intent}`);
+        parsed.queries.forEach((q, i) => console.log(`      ${i + 1}. ${q}`));
+        return parsed;
+    } catch (err) {
+        console.error(`   ❌ Query expansion failed: ${err.message}`);
+        const fallbackQueries = [
+            userQuery,
+            `${userQuery} club`,
+            `${userQuery} community`,
+            `${userQuery} event`,
+        ];
+        // Only widen to other activities when the scope asks for the whole ecosystem
+        if (scope === 'ecosystem') {
+            fallbackQueries.push(
+                `${userQuery} fitness`,
+                `${userQuery} running`,
+                `${userQuery} yoga`,
+                `${userQuery} sports`,
+                `best fitness clubs ${userQuery}`,
+                `top run clubs ${userQuery}`,
+            );
+        } else {
+            fallbackQueries.push(`best ${userQuery}`, `${userQuery} instagram`);
+        }
+        return {
+            location: 'Unknown',
+            neighborhoods: [],
+            categories: [],
+            intent: userQuery,
+            queries: fallbackQueries,
+            hashtags: [],
+            fallback: true
+        };
+    }
+}
+
+module.exports = { expandQuery };
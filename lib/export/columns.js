@@ -0,0 +1,114 @@
+const { normalizeHandle } = require('../handles');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧱 EXPORT RECORDS & COLUMNS
+// Omni-search results and stored `clubs` rows (dragnet or omni-search) are
+// both mapped onto one flat export record, so every export has the same
+// columns whichever side it came from.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// key → header, in default export order
+const EXPORT_COLUMNS = [
+    { key: 'name', header: 'Name' },
+    { key: 'handle', header: 'Handle' },
+    { key: 'category', header: 'Category' },
+    { key: 'subcategory', header: 'Subcategory' },
+    { key: 'followers', header: 'Followers' },
+    { key: 'followers_display', header: 'Followers (display)' },
+    { key: 'score', header: 'Score' },
+    { key: 'reasoning', header: 'Reasoning' },
+    { key: 'bio', header: 'Bio' },
+    { key: 'location', header: 'Location' },
+    { key: 'url', header: 'URL' },
+    { key: 'logo', header: 'Logo' },
+    { key: 'source_query', header: 'Source Query' },
+    { key: 'source_urls', header: 'Source URLs' },
+    { key: 'verification', header: 'Verification' },
+    { key: 'evidence_url', header: 'Evidence URL' },
+    { key: 'meeting_summary', header: 'Meets' },
+    { key: 'status', header: 'Status' },
+    { key: 'owner', header: 'Owner' },
+    { key: 'tags', header: 'Tags' },
+    { key: 'notes', header: 'Notes' },
+    { key: 'last_seen_at', header: 'Last Seen' },
+];
+
+// Bulky or internal columns left out unless asked for
+const DEFAULT_COLUMNS = EXPORT_COLUMNS.map(c => c.key).filter(key => !['bio', 'followers_display', 'source_urls'].includes(key));
+
+// "name,handle" or ['name', 'handle'] → column definitions; all defaults when empty.
+// Throws on unknown columns.
+function resolveColumns(columns) {
+    const keys = typeof columns === 'string' ? columns.split(',') : columns || [];
+    const wanted = keys.map(k => String(k).trim()).filter(Boolean);
+    if (wanted.length === 0) return EXPORT_COLUMNS.filter(c => DEFAULT_COLUMNS.includes(c.key));
+
+    const unknown = wanted.filter(key => !EXPORT_COLUMNS.some(c => c.key === key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export column(s): ${unknown.join(', ')} (available: ${EXPORT_COLUMNS.map(c => c.key).join(', ')})`);
+    }
+    return [...new Set(wanted)].map(key => EXPORT_COLUMNS.find(c => c.key === key));
+}
+
+// Omni-search result (as the API returns it) → export record. `location` is
+// the run's target location; results don't carry their own.
+function recordFromResult(r, { location = null } = {}) {
+    const handle = normalizeHandle(r.handle, r.url);
+    return {
+        name: r.name || handle,
+        handle,
+        category: r.category || null,
+        subcategory: r.subcategory || null,
+        followers: r.follower_count ?? null,
+        followers_display: r.followers || null,
+        score: r.score ?? null,
+        reasoning: r.reasoning || null,
+        bio: r.bio || null,
+        location: location && location !== 'Unknown' ? location : null,
+        url: r.url || (handle ? `https://instagram.com/${handle}` : null),
+        logo: r.logo || null,
+        source_query: r.sources?.length ? [...new Set(r.sources.map(s => s.source_query).filter(Boolean))].join(' | ') : r.sourceQuery || null,
+        source_urls: r.sources?.length ? [...new Set(r.sources.map(s => s.source_url).filter(Boolean))].join(' | ') || null : r.sourceUrl || null,
+        verification: r.verification?.status || null,
+        evidence_url: r.verification?.evidence_url || null,
+        meeting_summary: r.meeting_summary || null,
+        status: r.curation?.status || null,
+        owner: r.curation?.owner || null,
+        tags: r.curation?.tags || [],
+        notes: r.curation?.notes || null,
+        last_seen_at: null
+    };
+}
+
+// Stored `clubs` row, raw or as a lead from lib/curation.js → export record
+function recordFromClub(row) {
+    const curation = row.curation || {
+        status: row.lead_status || 'new', owner: row.owner, tags: row.tags, notes: row.notes
+    };
+    return {
+        name: row.name || row.instagram_handle,
+        handle: row.instagram_handle,
+        category: row.category || null,
+        subcategory: row.subcategory || null,
+        followers: row.followers ?? null,
+        followers_display: row.followers_display || null,
+        score: row.signal_score ?? null,
+        reasoning: row.reasoning || null,
+        bio: row.bio || null,
+        location: row.city || null,
+        url: row.profile_url || `https://instagram.com/${row.instagram_handle}`,
+        logo: row.logo_url || null,
+        source_query: null,
+        source_urls: null,
+        verification: row.verification_status || null,
+        evidence_url: row.verification_evidence_url || null,
+        meeting_summary: row.meeting_summary || null,
+        status: curation.status || null,
+        owner: curation.owner || null,
+        tags: curation.tags || [],
+        notes: curation.notes || null,
+        last_seen_at: row.last_seen_at || row.last_refreshed_at || null
+    };
+}
+
+module.exports = { EXPORT_COLUMNS, DEFAULT_COLUMNS, resolveColumns, recordFromResult, recordFromClub };
@@ -0,0 +1,31 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// CSV (RFC 4180) — quoted where needed, CRLF line ends, UTF-8 with a BOM so
+// Excel reads names with emoji and non-Latin scripts correctly.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Text a spreadsheet would run as a formula (=, +, -, @) gets a leading
+// apostrophe; names and reasoning come from scraped pages
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Cell value → text: lists joined with ", ", missing values empty
+function plainText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+function csvCell(value) {
+    let text = plainText(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records, columns) {
+    const lines = [columns.map(c => csvCell(c.header)).join(',')];
+    for (const record of records) {
+        lines.push(columns.map(c => csvCell(record[c.key])).join(','));
+    }
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv, plainText };
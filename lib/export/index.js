@@ -0,0 +1,71 @@
+const { toCsv } = require('./csv');
+const { toXlsx } = require('./xlsx');
+const { EXPORT_COLUMNS, DEFAULT_COLUMNS, resolveColumns, recordFromResult, recordFromClub } = require('./columns');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📤 EXPORTS
+// Leads as CSV, JSON, NDJSON or XLSX with selectable columns. Omni-search
+// results, stored runs, stored `clubs` rows and the dragnet's dry-run file
+// all go through the same records (columns.js), so an export looks the same
+// wherever it came from. A format is { content_type, extension, render(records,
+// columns) → string | Buffer }.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Record restricted to the chosen columns, for the JSON formats
+function pick(record, columns) {
+    return Object.fromEntries(columns.map(c => [c.key, record[c.key] ?? null]));
+}
+
+const EXPORT_FORMATS = {
+    csv: {
+        content_type: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        render: toCsv
+    },
+    json: {
+        content_type: 'application/json; charset=utf-8',
+        extension: 'json',
+        render: (records, columns) => JSON.stringify(records.map(r => pick(r, columns)), null, 2) + '\n'
+    },
+    ndjson: {
+        content_type: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        render: (records, columns) => records.map(r => JSON.stringify(pick(r, columns)) + '\n').join('')
+    },
+    xlsx: {
+        content_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        render: toXlsx
+    },
+};
+
+function resolveFormat(name) {
+    const key = String(name || 'csv').trim().toLowerCase();
+    if (!EXPORT_FORMATS[key]) {
+        throw new Error(`Unknown export format "${name}" (available: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    return key;
+}
+
+// "leads.xlsx" → 'xlsx'; null for extensions that aren't an export format
+function formatFromFilename(file) {
+    const extension = String(file || '').split('.').pop().toLowerCase();
+    return Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].extension === extension) || null;
+}
+
+// → { body, content_type, filename }. Throws on an unknown format or column.
+function renderExport(records, { format, columns, basename = 'leads' } = {}) {
+    const key = resolveFormat(format);
+    const { content_type, extension, render } = EXPORT_FORMATS[key];
+    return {
+        body: render(records, resolveColumns(columns)),
+        content_type,
+        filename: `${basename}.${extension}`
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS, EXPORT_COLUMNS, DEFAULT_COLUMNS,
+    resolveFormat, resolveColumns, formatFromFilename, renderExport,
+    recordFromResult, recordFromClub
+};
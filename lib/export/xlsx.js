@@ -0,0 +1,164 @@
+const zlib = require('zlib');
+const { plainText } = require('./csv');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📊 XLSX — a single-sheet workbook written by hand: an XLSX file is a zip of
+// a few XML parts, and one sheet of strings and numbers needs nothing more
+// than zlib. Header row in bold and frozen; text as inline strings.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Style 0: default; style 1: bold (header row)
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// Excel's limit per cell
+const MAX_CELL_CHARS = 32767;
+
+function xmlEscape(text) {
+    return text
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// 0 → A, 25 → Z, 26 → AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cellXml(value, ref, style) {
+    const s = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    // Inline strings are never evaluated, so no formula guard as in CSV
+    const text = plainText(value);
+    if (!text) return '';
+    return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(text.slice(0, MAX_CELL_CHARS))}</t></is></c>`;
+}
+
+function sheetXml(records, columns) {
+    const rows = [
+        `<row r="1">${columns.map((c, i) => cellXml(c.header, `${columnName(i)}1`, 1)).join('')}</row>`,
+        ...records.map((record, r) =>
+            `<row r="${r + 2}">${columns.map((c, i) => cellXml(record[c.key], `${columnName(i)}${r + 2}`)).join('')}</row>`)
+    ];
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData>${rows.join('')}</sheetData>
+</worksheet>`;
+}
+
+function workbookXml(sheetName) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+}
+
+// ─── Zip (deflate, no zip64: plenty for a lead sheet) ───
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function zip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const raw = Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(raw);
+        const crc = zlib.crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        local.writeUInt16LE(0, 28);
+        parts.push(local, nameBytes, compressed);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);             // version made by
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt16LE(time, 12);
+        entry.writeUInt16LE(date, 14);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(compressed.length, 20);
+        entry.writeUInt32LE(raw.length, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);        // extra, comment, disk, attributes stay 0
+        central.push(entry, nameBytes);
+
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+
+    const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...parts, ...central, end]);
+}
+
+// records + column definitions → .xlsx file contents
+function toXlsx(records, columns, { sheetName = 'Leads' } = {}) {
+    return zip([
+        { name: '[Content_Types].xml', data: CONTENT_TYPES },
+        { name: '_rels/.rels', data: ROOT_RELS },
+        { name: 'xl/workbook.xml', data: workbookXml(sheetName) },
+        { name: 'xl/_rels/workbook.xml.rels', data: WORKBOOK_RELS },
+        { name: 'xl/styles.xml', data: STYLES },
+        { name: 'xl/worksheets/sheet1.xml', data: sheetXml(records, columns) },
+    ]);
+}
+
+module.exports = { toXlsx };
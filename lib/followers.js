@@ -0,0 +1,45 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 👥 FOLLOWER COUNTS
+// The classifier reports followers as display text ("12.5k", "1.2M",
+// "12,345 Followers"); the dragnet stores integers. Both meet here.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mil: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+// 12500, "12.5k", "1.2k followers", "12.5K Followers", "1,234", "1.2 M",
+// "3 million" → integer; null when unparseable. Suffixes are whole words, so
+// "120 members" is 120, not 120 million.
+function parseFollowerCount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+
+    const match = String(value).toLowerCase().replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k|thousand|m|mil|million|b|bn|billion)?(?![a-z])/);
+    if (!match) return null;
+    return Math.round(parseFloat(match[1]) * (MULTIPLIERS[match[2]] || 1));
+}
+
+// { min, max } from request fields that may be numbers or "5k"-style strings.
+// Returns null when neither bound is set; throws on unparseable or inverted bounds.
+function normalizeFollowerRange(min, max) {
+    const bound = (value, field) => {
+        if (value === undefined || value === null || value === '') return null;
+        const count = parseFollowerCount(value);
+        if (count === null) throw new Error(`${field} must be a follower count like 500, "12.5k" or "1.2M"`);
+        return count;
+    };
+    const range = { min: bound(min, 'min_followers'), max: bound(max, 'max_followers') };
+    if (range.min === null && range.max === null) return null;
+    if (range.min !== null && range.max !== null && range.min > range.max) {
+        throw new Error('min_followers must not exceed max_followers');
+    }
+    return range;
+}
+
+// Unknown counts never satisfy a range: a follower filter asks for evidence
+function inFollowerRange(count, range) {
+    if (!range) return true;
+    if (count === null || count === undefined) return false;
+    return (range.min === null || count >= range.min) && (range.max === null || count <= range.max);
+}
+
+module.exports = { parseFollowerCount, normalizeFollowerRange, inFollowerRange };
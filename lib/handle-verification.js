@@ -0,0 +1,125 @@
+const { normalizeHandle } = require('./handles');
+const { matchesProfile, resolveEntities } = require('./entity-resolution');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔎 HANDLE VERIFICATION
+// Web extraction returns names without handles, or handles the model guessed.
+// Each result is checked against Instagram profile search results and marked:
+//   verified   — the handle belongs to a profile Instagram search returned
+//   inferred   — the handle came from a fuzzy name match, or from extraction
+//                alone with nothing to confirm it
+//   unresolved — no handle could be found
+// Results not confirmed by the run's own IG candidates get targeted
+// site:instagram.com lookups, capped by VERIFY_MAX_LOOKUPS per run.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const VERIFY_MAX_LOOKUPS = parseInt(process.env.VERIFY_MAX_LOOKUPS, 10) || 20;
+
+// "Vizag Run Collective (@vizagruncollective) • Instagram photos and videos" → "Vizag Run Collective"
+function profileName(title) {
+    return String(title || '').split(/\s+\(@|\s+•\s+|\s+\|\s+/)[0].trim();
+}
+
+// Profile pages among raw search items as { handle, name, url } (posts and reels are skipped)
+function profilesFrom(items) {
+    const profiles = new Map();
+    for (const item of items) {
+        const handle = normalizeHandle(null, item.link);
+        if (handle && !profiles.has(handle)) {
+            profiles.set(handle, { handle, name: profileName(item.title), url: item.link });
+        }
+    }
+    return [...profiles.values()];
+}
+
+// Exact handle match first (verified), then a profile whose name matches (inferred)
+function matchProfile(entity, profiles) {
+    const handle = normalizeHandle(entity.handle, entity.url);
+    const exact = handle && profiles.find(p => p.handle === handle);
+    if (exact) return { status: 'verified', profile: exact };
+    const byName = entity.name && profiles.find(p => matchesProfile(entity.name, p.name, p.handle));
+    if (byName) return { status: 'inferred', profile: byName };
+    return null;
+}
+
+function withVerification(entity, status, method, profile = null) {
+    const verification = { status, method, evidence_url: profile ? profile.url : null };
+    if (!profile) return { ...entity, verification };
+
+    const previous = normalizeHandle(entity.handle, entity.url);
+    if (previous && previous !== profile.handle) verification.replaced_handle = `@${previous}`;
+    return {
+        ...entity,
+        handle: `@${profile.handle}`,
+        url: `https://instagram.com/${profile.handle}`,
+        verification
+    };
+}
+
+// Lookup queries for one entity, most specific first
+function lookupQueries(entity, location) {
+    const queries = [];
+    const handle = normalizeHandle(entity.handle, entity.url);
+    if (handle) queries.push(`"${handle}"`);
+    // Skip the name query when the name is just the handle again
+    if (entity.name && (!handle || normalizeHandle(entity.name) !== handle)) {
+        queries.push(location && location !== 'Unknown' ? `"${entity.name}" ${location}` : `"${entity.name}"`);
+    }
+    return queries;
+}
+
+// `knownItems` are the run's Instagram search items (free evidence);
+// `lookup(query)` runs one site:instagram.com search and resolves to raw items.
+// Resolves to { results, stats } — results carry `verification` and, where a
+// lookup found the real profile, a corrected handle and URL. Results whose
+// corrected handle collides with another result's are merged into it.
+async function verifyEntities(results, { knownItems = [], lookup, location, maxLookups = VERIFY_MAX_LOOKUPS, onProgress = () => {} }) {
+    const known = profilesFrom(knownItems);
+    const stats = { verified: 0, inferred: 0, unresolved: 0, lookups: 0, lookups_skipped: 0 };
+    let budget = maxLookups;
+
+    // Free pass: confirm against profiles the run already found
+    const pending = [];
+    const verified = results.map((entity, index) => {
+        const match = matchProfile(entity, known);
+        if (match?.status === 'verified') return withVerification(entity, 'verified', 'search_result', match.profile);
+        pending.push({ index, nameMatch: match });
+        return entity;
+    });
+
+    let completed = 0;
+    await Promise.all(pending.map(async ({ index, nameMatch }) => {
+        const entity = verified[index];
+        let result = null;
+
+        for (const query of lookupQueries(entity, location)) {
+            if (budget <= 0) {
+                stats.lookups_skipped++;
+                continue;
+            }
+            budget--;
+            stats.lookups++;
+            const match = matchProfile(entity, profilesFrom(await lookup(query)));
+            if (match?.status === 'verified') {
+                result = withVerification(entity, 'verified', 'lookup', match.profile);
+                break;
+            }
+            if (match && !result) result = withVerification(entity, 'inferred', 'lookup_name_match', match.profile);
+        }
+
+        if (!result && nameMatch) result = withVerification(entity, 'inferred', 'name_match', nameMatch.profile);
+        if (!result) {
+            result = normalizeHandle(entity.handle, entity.url)
+                ? withVerification(entity, 'inferred', 'extraction')
+                : withVerification(entity, 'unresolved', null);
+        }
+        verified[index] = result;
+        onProgress({ completed: ++completed, total: pending.length, status: result.verification.status });
+    }));
+
+    const merged = resolveEntities(verified);
+    for (const entity of merged) stats[entity.verification.status]++;
+    return { results: merged, stats };
+}
+
+module.exports = { verifyEntities, profilesFrom, VERIFY_MAX_LOOKUPS };
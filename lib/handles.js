@@ -0,0 +1,22 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔖 INSTAGRAM HANDLES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Path segments that are Instagram pages rather than profiles
+const RESERVED_PATHS = ['p', 'reel', 'reels', 'explore', 'stories', 'tv', 'accounts', 'about', 'legal'];
+
+function handleFromUrl(url) {
+    return (url || '').match(/instagram\.com\/([A-Za-z0-9._]+)/i)?.[1] || null;
+}
+
+// "@Some.Club", "some.club", "https://instagram.com/some.club/" → "some.club"
+// Returns null when neither the handle nor the URL yields a valid profile name.
+function normalizeHandle(handle, url) {
+    const raw = handleFromUrl(handle) || handle || handleFromUrl(url) || '';
+    const clean = String(raw).trim().replace(/^@/, '').replace(/\/+$/, '').toLowerCase();
+    if (!/^[a-z0-9._]{1,30}$/.test(clean)) return null;
+    if (RESERVED_PATHS.includes(clean)) return null;
+    return clean;
+}
+
+module.exports = { normalizeHandle, handleFromUrl };
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { EXPORT_COLUMNS } = require('../export');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔌 INTEGRATION CONFIGS
+// One JSON file per outbound integration in config/integrations (or
+// INTEGRATION_CONFIG_DIR), named after the integration:
+//
+//   {
+//     "type": "webhook",
+//     "url": "https://crm.example.com/hooks/leads",
+//     "secret_env": "CRM_WEBHOOK_SECRET",    // env var holding the signing secret
+//     "mode": "batch",                        // "batch" or "single" (one request per lead)
+//     "batch_size": 50,
+//     "headers": { "X-Api-Key": "..." },
+//     "fields": { "company": "name", "instagram": "handle", "stage": "status" },
+//     "static_fields": { "lead_source": "Alterion Discovery" },
+//     "enabled": true
+//   }
+//
+// `fields` maps each CRM field to an export column (lib/export/columns.js);
+// without it every default export column is sent under its own name.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const INTEGRATION_CONFIG_DIR = process.env.INTEGRATION_CONFIG_DIR || path.join(__dirname, '..', '..', 'config', 'integrations');
+
+const TYPES = ['webhook'];
+const MODES = ['batch', 'single'];
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 500;
+
+// Raw file contents → { name, type, url, secretEnv, mode, batchSize, headers,
+// fields, staticFields, enabled }. Throws on invalid config.
+function normalizeIntegrationConfig(raw, name, source = `${name}.json`) {
+    if (!raw || typeof raw !== 'object') throw new Error(`${source}: expected a JSON object`);
+    const type = raw.type || 'webhook';
+    if (!TYPES.includes(type)) throw new Error(`${source}: unknown type "${type}" (available: ${TYPES.join(', ')})`);
+
+    let url;
+    try {
+        url = new URL(raw.url);
+    } catch (_) {
+        throw new Error(`${source}: "url" must be an absolute http(s) URL`);
+    }
+    if (!/^https?:$/.test(url.protocol)) throw new Error(`${source}: "url" must be an absolute http(s) URL`);
+    if (!raw.secret_env || typeof raw.secret_env !== 'string') {
+        throw new Error(`${source}: "secret_env" is required (name of the env var holding the signing secret)`);
+    }
+
+    const mode = raw.mode || 'batch';
+    if (!MODES.includes(mode)) throw new Error(`${source}: mode must be one of ${MODES.join(', ')}`);
+    const batchSize = raw.batch_size ?? DEFAULT_BATCH_SIZE;
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+        throw new Error(`${source}: batch_size must be an integer from 1 to ${MAX_BATCH_SIZE}`);
+    }
+
+    const columnKeys = EXPORT_COLUMNS.map(c => c.key);
+    const fields = raw.fields || Object.fromEntries(columnKeys.map(key => [key, key]));
+    for (const [target, column] of Object.entries(fields)) {
+        if (!columnKeys.includes(column)) {
+            throw new Error(`${source}: fields.${target}: unknown column "${column}" (available: ${columnKeys.join(', ')})`);
+        }
+    }
+
+    return {
+        name,
+        type,
+        url: url.toString(),
+        secretEnv: raw.secret_env,
+        mode,
+        batchSize,
+        headers: raw.headers || {},
+        fields,
+        staticFields: raw.static_fields || {},
+        enabled: raw.enabled !== false,
+    };
+}
+
+function readIntegrationConfig(file) {
+    const name = path.basename(file, '.json');
+    try {
+        return normalizeIntegrationConfig(JSON.parse(fs.readFileSync(file, 'utf8')), name);
+    } catch (err) {
+        if (err instanceof SyntaxError) throw new Error(`${path.basename(file)}: ${err.message}`);
+        throw err;
+    }
+}
+
+// Read on every call, so edited files apply without a restart
+function listIntegrationConfigs() {
+    if (!fs.existsSync(INTEGRATION_CONFIG_DIR)) return [];
+    return fs.readdirSync(INTEGRATION_CONFIG_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => readIntegrationConfig(path.join(INTEGRATION_CONFIG_DIR, f)));
+}
+
+module.exports = { listIntegrationConfigs, normalizeIntegrationConfig, INTEGRATION_CONFIG_DIR };
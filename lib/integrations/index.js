@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const { createWebhookIntegration } = require('./webhook');
+const { listIntegrationConfigs } = require('./config');
+const { withRetry } = require('../search/rate-limit');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔌 CRM INTEGRATIONS
+// Pushes leads (export records, lib/export/columns.js) to the outbound
+// integrations configured in config/integrations, mapped through each
+// config's `fields`. Every request is a delivery: retried right away on
+// network errors, 429 and 5xx, then again from the delivery log at growing
+// intervals until it goes through or runs out of attempts. The log lives in
+// `integration_deliveries`; without storage, pushes still go out but aren't
+// logged or retried later. A delivery is claimed (status `sending`) before
+// each request, so the sweep and a manual retry never send it twice; claims
+// older than INTEGRATION_CLAIM_MINUTES are taken to be from a crashed process.
+//
+//   INTEGRATION_RETRIES=2            immediate retries per delivery attempt
+//   INTEGRATION_RETRY_MINUTES=5      first delayed retry, doubling after that
+//   INTEGRATION_MAX_ATTEMPTS=12      requests per delivery before giving up
+//   INTEGRATION_CLAIM_MINUTES=15     when an unfinished `sending` claim is stale
+//   INTEGRATION_PUSH_SECONDS=60      how long a push sends before leaving the rest
+//                                    to the background retries
+// ═══════════════════════════════════════════════════════════════════════════
+
+const INTEGRATION_FACTORIES = {
+    webhook: createWebhookIntegration,
+};
+
+const INTEGRATION_RETRIES = Number.parseInt(process.env.INTEGRATION_RETRIES, 10) >= 0 ? Number.parseInt(process.env.INTEGRATION_RETRIES, 10) : 2;
+const INTEGRATION_RETRY_MINUTES = parseFloat(process.env.INTEGRATION_RETRY_MINUTES) || 5;
+const INTEGRATION_MAX_ATTEMPTS = parseInt(process.env.INTEGRATION_MAX_ATTEMPTS, 10) || 12;
+const INTEGRATION_CLAIM_MINUTES = parseFloat(process.env.INTEGRATION_CLAIM_MINUTES) || 15;
+const INTEGRATION_PUSH_SECONDS = parseFloat(process.env.INTEGRATION_PUSH_SECONDS) || 60;
+const RETRY_SWEEP_MS = 60 * 1000;
+
+const DELIVERY_LIST_COLUMNS = 'id, integration, event, status, handles, attempts, response_status, error, ' +
+    'created_at, claimed_at, last_attempt_at, next_retry_at, delivered_at';
+
+function integrationError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// Configs as the API shows them: headers may hold API keys, so they are left out
+function listIntegrations() {
+    return listIntegrationConfigs().map(config => ({
+        name: config.name,
+        type: config.type,
+        host: new URL(config.url).host,
+        mode: config.mode,
+        batch_size: config.batchSize,
+        fields: config.fields,
+        enabled: config.enabled,
+        // The signing secret is in the environment
+        ready: config.enabled && Boolean(process.env[config.secretEnv])
+    }));
+}
+
+// Enabled config by name. Throws with `code` UNKNOWN_INTEGRATION or NOT_READY.
+function resolveIntegration(name) {
+    const config = listIntegrationConfigs().find(c => c.name === name);
+    if (!config) throw integrationError(`Unknown integration "${name}"`, 'UNKNOWN_INTEGRATION');
+    if (!config.enabled) throw integrationError(`Integration "${name}" is disabled`, 'NOT_READY');
+    if (!process.env[config.secretEnv]) throw integrationError(`Integration "${name}" needs ${config.secretEnv} set`, 'NOT_READY');
+    return config;
+}
+
+// Export record → the CRM's fields
+function mapRecord(record, config) {
+    const mapped = { ...config.staticFields };
+    for (const [target, column] of Object.entries(config.fields)) mapped[target] = record[column] ?? null;
+    return mapped;
+}
+
+// Network errors and timeouts (no status), rate limits and server errors
+function retryableDelivery(err) {
+    return !err.status || err.status === 429 || err.status >= 500;
+}
+
+function retryDelayMs(attempts) {
+    const rounds = Math.ceil(attempts / (INTEGRATION_RETRIES + 1));
+    return INTEGRATION_RETRY_MINUTES * 60 * 1000 * 2 ** Math.max(0, rounds - 1);
+}
+
+async function logDelivery(delivery) {
+    if (!storage) return;
+    const { errors } = await storage.upsert('integration_deliveries', [delivery], { key: 'id' });
+    if (errors.length > 0) console.error(`   ❌ Delivery log ${delivery.id}: ${errors[0].message}`);
+}
+
+// Marks the delivery `sending` unless someone else changed it since it was
+// read → the claimed delivery, or null when it was taken. Without storage
+// there is no one else.
+async function claimDelivery(delivery) {
+    const claimed = { ...delivery, status: 'sending', claimed_at: new Date().toISOString() };
+    if (!storage) return claimed;
+    const { saved } = await storage.update('integration_deliveries', [{ id: delivery.id, status: claimed.status, claimed_at: claimed.claimed_at }], {
+        key: 'id',
+        where: { status: delivery.status, claimed_at: delivery.claimed_at ?? null }
+    });
+    return saved.length > 0 ? claimed : null;
+}
+
+function staleClaim(delivery) {
+    return Date.parse(delivery.claimed_at) < Date.now() - INTEGRATION_CLAIM_MINUTES * 60 * 1000;
+}
+
+// One delivery attempt (with immediate retries) → the delivery as logged after it
+async function attemptDelivery(delivery, config, signal) {
+    const client = INTEGRATION_FACTORIES[config.type](config);
+    let attempts = 0;
+    try {
+        const response = await withRetry(() => {
+            attempts++;
+            return client.deliver(delivery.payload, { deliveryId: delivery.id, event: delivery.event, signal });
+        }, {
+            retries: INTEGRATION_RETRIES,
+            baseDelayMs: 1000,
+            signal,
+            retryable: retryableDelivery,
+            onRetry: (err, n, delay) => console.log(`   🔁 ${config.name} ${delivery.id}: ${err.message} — retry ${n} in ${delay}ms`)
+        });
+        const now = new Date().toISOString();
+        console.log(`   ✅ ${config.name} ${delivery.id}: delivered ${delivery.handles.length} leads (HTTP ${response.status})`);
+        return {
+            ...delivery, status: 'delivered', attempts: delivery.attempts + attempts,
+            response_status: response.status, response_body: response.body || null, error: null,
+            last_attempt_at: now, next_retry_at: null, delivered_at: now
+        };
+    } catch (err) {
+        const total = delivery.attempts + attempts;
+        // Cut off mid-send: the receiver may or may not have it, and drops
+        // the duplicate by delivery id if it does, so it goes again soon
+        const interrupted = Boolean(signal?.aborted);
+        const retryLater = Boolean(storage) && (interrupted || (retryableDelivery(err) && total < INTEGRATION_MAX_ATTEMPTS));
+        const error = interrupted ? 'Interrupted before the receiver answered' : err.message;
+        console.error(`   ❌ ${config.name} ${delivery.id}: ${error}${retryLater ? '' : ' (giving up)'}`);
+        return {
+            ...delivery, status: 'failed', attempts: total,
+            response_status: err.status || null, response_body: err.body || null, error,
+            last_attempt_at: new Date().toISOString(),
+            next_retry_at: retryLater ? new Date(Date.now() + (interrupted ? 0 : retryDelayMs(total))).toISOString() : null
+        };
+    }
+}
+
+// Delivery as the API shows it (no payload)
+function deliverySummary(delivery) {
+    const { payload, response_body, ...summary } = delivery;
+    return summary;
+}
+
+// Sends `records` to integration `name`: one delivery per record ("single"
+// mode) or per batch_size records. Sending stops after `timeLimitMs` or when
+// `signal` aborts (the client went away); with storage, the deliveries not
+// sent by then stay `pending` for the background retries. → { integration,
+// logged, summary: { leads, deliveries, delivered, failed, queued },
+// deliveries: [delivery] }
+async function pushRecords(name, records, { signal, timeLimitMs = INTEGRATION_PUSH_SECONDS * 1000 } = {}) {
+    const config = resolveIntegration(name);
+    const chunks = config.mode === 'single'
+        ? records.map(r => [r])
+        : Array.from({ length: Math.ceil(records.length / config.batchSize) }, (_, i) => records.slice(i * config.batchSize, (i + 1) * config.batchSize));
+
+    console.log(`\n🔌 Pushing ${records.length} leads to ${config.name} in ${chunks.length} deliveries...`);
+    // Everything is in the log before the first request, so what this push
+    // doesn't get to is still sent later
+    const pending = [];
+    for (const chunk of chunks) {
+        const id = crypto.randomUUID();
+        const createdAt = new Date().toISOString();
+        const event = config.mode === 'single' ? 'lead.push' : 'leads.push';
+        const mapped = chunk.map(record => mapRecord(record, config));
+        const delivery = {
+            id,
+            integration: config.name,
+            event,
+            status: 'pending',
+            handles: chunk.map(r => r.handle).filter(Boolean),
+            payload: config.mode === 'single'
+                ? { event, delivery_id: id, created_at: createdAt, lead: mapped[0] }
+                : { event, delivery_id: id, created_at: createdAt, leads: mapped },
+            attempts: 0,
+            created_at: createdAt
+        };
+        await logDelivery(delivery);
+        pending.push(delivery);
+    }
+
+    const timeLimit = AbortSignal.timeout(timeLimitMs);
+    const stop = signal ? AbortSignal.any([signal, timeLimit]) : timeLimit;
+    const deliveries = [];
+    for (const delivery of pending) {
+        if (stop.aborted) {
+            deliveries.push(deliverySummary(storage ? delivery : { ...delivery, status: 'failed', error: 'Not sent: the push was cut off' }));
+            continue;
+        }
+        // The sweep may have picked it up already; it is sent either way
+        const claimed = await claimDelivery(delivery);
+        if (!claimed) {
+            deliveries.push(deliverySummary(delivery));
+            continue;
+        }
+        const done = await attemptDelivery(claimed, config, stop);
+        await logDelivery(done);
+        deliveries.push(deliverySummary(done));
+    }
+
+    const count = status => deliveries.filter(d => d.status === status).length;
+    const queued = count('pending');
+    if (queued > 0) console.log(`   ⏳ ${queued} deliveries left for the background retries`);
+    return {
+        integration: config.name,
+        logged: Boolean(storage),
+        summary: {
+            leads: records.length,
+            deliveries: deliveries.length,
+            delivered: count('delivered'),
+            failed: count('failed'),
+            queued
+        },
+        deliveries
+    };
+}
+
+// Sends a logged delivery again, now. null when there is no such delivery.
+// Throws with `code` IN_FLIGHT while another request is sending it.
+async function retryDelivery(id) {
+    const [delivery] = await storage.findByKeys('integration_deliveries', 'id', [id]);
+    if (!delivery) return null;
+    if (delivery.status === 'delivered') return deliverySummary(delivery);
+    if (delivery.status === 'sending' && !staleClaim(delivery)) {
+        throw integrationError(`Delivery ${id} is being sent`, 'IN_FLIGHT');
+    }
+
+    let config;
+    try {
+        config = resolveIntegration(delivery.integration);
+    } catch (err) {
+        if (err.code !== 'UNKNOWN_INTEGRATION') throw err;
+        // Its config file is gone: nothing left to send it to
+        const dropped = { ...delivery, status: 'failed', error: err.message, next_retry_at: null };
+        await logDelivery(dropped);
+        return deliverySummary(dropped);
+    }
+    const claimed = await claimDelivery(delivery);
+    if (!claimed) throw integrationError(`Delivery ${id} is being sent`, 'IN_FLIGHT');
+    const done = await attemptDelivery(claimed, config);
+    await logDelivery(done);
+    return deliverySummary(done);
+}
+
+// Newest first. Filters: integration, status.
+async function listDeliveries({ integration, status, limit = 50 } = {}) {
+    const where = {};
+    if (integration) where.integration = integration;
+    if (status) where.status = status;
+    return storage.list('integration_deliveries', {
+        columns: DELIVERY_LIST_COLUMNS,
+        where,
+        orderBy: 'created_at',
+        ascending: false,
+        limit
+    });
+}
+
+let sweeping = false;
+
+// Sends the failed deliveries whose next_retry_at has passed, plus those a
+// crashed or interrupted process left `pending` or `sending`
+async function retryDueDeliveries() {
+    if (!storage || sweeping) return;
+    sweeping = true;
+    try {
+        const now = new Date().toISOString();
+        const staleBefore = new Date(Date.now() - INTEGRATION_CLAIM_MINUTES * 60 * 1000).toISOString();
+        const batches = await Promise.all([
+            storage.list('integration_deliveries', {
+                columns: 'id', where: { status: 'failed' }, before: { column: 'next_retry_at', value: now }, orderBy: 'next_retry_at', limit: 20
+            }),
+            storage.list('integration_deliveries', {
+                columns: 'id', where: { status: 'pending' }, orderBy: 'created_at', limit: 20
+            }),
+            storage.list('integration_deliveries', {
+                columns: 'id', where: { status: 'sending' }, before: { column: 'claimed_at', value: staleBefore }, orderBy: 'claimed_at', limit: 20
+            })
+        ]);
+        for (const { id } of batches.flat()) {
+            await retryDelivery(id).catch(err => {
+                if (err.code !== 'IN_FLIGHT') console.error(`   ❌ Delivery retry ${id}: ${err.message}`);
+            });
+        }
+    } catch (err) {
+        console.error(`   ❌ Delivery retries: ${err.message}`);
+    } finally {
+        sweeping = false;
+    }
+}
+
+// Background retries for as long as the server runs
+function startDeliveryRetries() {
+    if (!storage) return null;
+    const timer = setInterval(retryDueDeliveries, RETRY_SWEEP_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    listIntegrations, resolveIntegration, pushRecords, retryDelivery, listDeliveries,
+    retryDueDeliveries, startDeliveryRetries, mapRecord
+};
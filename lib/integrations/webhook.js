@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Generic webhook — a signed JSON POST. Receivers check
+//
+//   X-Alterion-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// with the shared secret, reject stale X-Alterion-Timestamp values, and use
+// X-Alterion-Delivery (the same on every retry) to drop duplicates.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const USER_AGENT = 'AlterionDiscoveryBot/1.0';
+// Kept in the delivery log; CRM error pages can be large
+const RESPONSE_BODY_CHARS = 2000;
+
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Constant-time check of a signature header against the raw body
+function verifySignature(secret, { signature, timestamp, body, toleranceSeconds = 300 }) {
+    if (!signature || !timestamp) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function createWebhookIntegration(config) {
+    return {
+        name: config.name,
+        type: 'webhook',
+        // → { status, body }. Throws (with `status` for HTTP errors) unless the
+        // receiver answers 2xx.
+        async deliver(payload, { deliveryId, event, signal } = {}) {
+            const secret = process.env[config.secretEnv];
+            if (!secret) throw new Error(`${config.secretEnv} is not set`);
+
+            const body = JSON.stringify(payload);
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const headers = {
+                ...config.headers,
+                'Content-Type': 'application/json',
+                'User-Agent': USER_AGENT,
+                'X-Alterion-Event': event,
+                'X-Alterion-Delivery': deliveryId,
+                'X-Alterion-Timestamp': timestamp,
+                'X-Alterion-Signature': signPayload(secret, timestamp, body)
+            };
+            const timeout = AbortSignal.timeout(WEBHOOK_TIMEOUT_MS);
+
+            let res;
+            try {
+                res = await fetch(config.url, { method: 'POST', headers, body, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+            } catch (err) {
+                if (signal?.aborted) throw err;
+                const reason = err.name === 'TimeoutError' ? `no answer in ${WEBHOOK_TIMEOUT_MS}ms` : err.cause?.code || err.message;
+                throw new Error(`Request failed (${reason})`);
+            }
+            const text = (await res.text().catch(() => '')).slice(0, RESPONSE_BODY_CHARS);
+            if (!res.ok) {
+                const err = new Error(`HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+                err.status = res.status;
+                err.body = text;
+                throw err;
+            }
+            return { status: res.status, body: text };
+        }
+    };
+}
+
+module.exports = { createWebhookIntegration, signPayload, verifySignature };
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { setMaxListeners } = require('events');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗂️ SEARCH JOBS
+// Runs the omni-search pipeline in the background so long searches outlive
+// proxy/browser timeouts. Jobs are kept in memory and retained after they
+// finish so clients can reconnect and collect the final result.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 60) * 60 * 1000;
+
+const jobs = new Map();
+
+// `request` is the pipeline request ({ query, ... }) handed to `runner`
+function createJob(request, runner) {
+    const job = {
+        id: crypto.randomUUID(),
+        query: request.query,
+        status: 'running',
+        phase: 'queued',
+        message: 'Queued',
+        expansion: null,
+        progress: {
+            searches: { completed: 0, total: 0 },
+            pages: { completed: 0, total: 0 },
+            instagram_batches: { completed: 0, total: 0 },
+            web_batches: { completed: 0, total: 0 },
+            verification: { completed: 0, total: 0 }
+        },
+        partialResults: [],
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        controller: new AbortController()
+    };
+    // Every CSE page and Gemini call subscribes to the same signal
+    setMaxListeners(0, job.controller.signal);
+    jobs.set(job.id, job);
+
+    console.log(`\n🗂️ Job ${job.id} started for "${job.query}"`);
+
+    // Not awaited: the job keeps running after the creating request returns
+    runner(request, (event, data) => applyEvent(job, event, data), job.controller.signal)
+        .then(result => {
+            if (job.status !== 'running') return;
+            job.status = 'completed';
+            job.phase = 'complete';
+            job.message = `Found ${result.results.length} entities`;
+            job.result = result;
+        })
+        .catch(err => {
+            if (job.status !== 'running') return;
+            job.status = 'failed';
+            job.error = err.message;
+            console.error(`   ❌ Job ${job.id} failed: ${err.message}`);
+        })
+        .finally(() => {
+            job.finishedAt = job.finishedAt || new Date().toISOString();
+        });
+
+    return job;
+}
+
+// Translate pipeline events into job state
+function applyEvent(job, event, data) {
+    if (job.status !== 'running') return;
+
+    switch (event) {
+        case 'phase':
+            job.phase = data.phase;
+            job.message = data.message;
+            break;
+        case 'expansion':
+            job.expansion = data;
+            break;
+        case 'search':
+            job.progress.searches = { completed: data.completed, total: data.total };
+            break;
+        case 'page':
+            job.progress.pages = { completed: data.completed, total: data.total };
+            break;
+        case 'classification': {
+            const key = data.stage === 'instagram' ? 'instagram_batches' : 'web_batches';
+            job.progress[key] = { completed: job.progress[key].completed + 1, total: data.batches };
+            break;
+        }
+        case 'entities':
+            job.partialResults.push(...data.entities);
+            break;
+        case 'verification':
+            job.progress.verification = { completed: data.completed, total: data.total };
+            break;
+    }
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status !== 'running') return job;
+
+    job.status = 'cancelled';
+    job.message = 'Cancelled by client';
+    job.finishedAt = new Date().toISOString();
+    job.controller.abort();
+    console.log(`   🛑 Job ${id} cancelled`);
+    return job;
+}
+
+// Public view of a job — partial results until the final result is in
+function serializeJob(job) {
+    return {
+        id: job.id,
+        query: job.query,
+        status: job.status,
+        phase: job.phase,
+        message: job.message,
+        progress: job.progress,
+        expansion: job.expansion,
+        created_at: job.createdAt,
+        finished_at: job.finishedAt,
+        error: job.error || undefined,
+        partial_results: job.result ? undefined : job.partialResults,
+        result: job.result || undefined
+    };
+}
+
+// Drop finished jobs once they are past the retention window
+setInterval(() => {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    }
+}, 5 * 60 * 1000).unref();
+
+module.exports = { createJob, getJob, cancelJob, serializeJob };
@@ -0,0 +1,104 @@
+const storage = require('./storage');
+const { normalizeHandle } = require('./handles');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 💾 OMNI-SEARCH PERSISTENCE
+// Upserts omni-search results into the same `clubs` table the dragnet fills
+// (keyed on instagram_handle) and records where each lead came from in
+// `club_sources`, through whichever store lib/storage selects. See
+// supabase/migrations for the schema.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The dragnet's cap for scraped bios
+const BIO_MAX_CHARS = 500;
+
+async function persistOmniSearchRun({ runId, query, expansion, results }) {
+    if (!storage) {
+        return { enabled: false, saved: 0, skipped: results.length, errors: [] };
+    }
+
+    console.log(`\n💾 Persisting ${results.length} results to ${storage.name} (run ${runId})...`);
+    const errors = [];
+    const now = new Date().toISOString();
+
+    const { errors: runErrors } = await storage.insert('omni_search_runs', [{
+        id: runId,
+        query,
+        location: expansion.location,
+        intent: expansion.intent,
+        expanded_queries: expansion.queries,
+        result_count: results.length,
+        created_at: now
+    }]);
+    if (runErrors.length > 0) {
+        console.error(`   ❌ Run record: ${runErrors[0].message}`);
+        return { enabled: true, saved: 0, skipped: results.length, errors: [`run: ${runErrors[0].message}`] };
+    }
+
+    // One row per handle — the same club can come back from several queries
+    const byHandle = new Map();
+    let skipped = 0;
+    for (const result of results) {
+        const handle = normalizeHandle(result.handle, result.url);
+        if (!handle) {
+            skipped++;
+            continue;
+        }
+        if (!byHandle.has(handle)) byHandle.set(handle, result);
+    }
+
+    const clubRows = [...byHandle].map(([handle, r]) => ({
+        instagram_handle: handle,
+        name: r.name || handle,
+        category: r.category || null,
+        subcategory: r.subcategory || null,
+        followers_display: r.followers || null,
+        ...(r.follower_count !== null && r.follower_count !== undefined && { followers: r.follower_count }),
+        reasoning: r.reasoning || null,
+        // Like followers, only when known, so the dragnet's scraped bio stays
+        ...(r.bio && { bio: String(r.bio).slice(0, BIO_MAX_CHARS) }),
+        profile_url: r.url || `https://instagram.com/${handle}`,
+        logo_url: r.logo || null,
+        city: expansion.location && expansion.location !== 'Unknown' ? expansion.location : null,
+        signal_score: r.score ?? null,
+        score_breakdown: r.score_breakdown || null,
+        verification_status: r.verification?.status || null,
+        verification_evidence_url: r.verification?.evidence_url || null,
+        last_seen_at: now
+    }));
+
+    // Resolved results list every mention in `sources`; one row per mention
+    const sourceRows = [...byHandle].flatMap(([handle, r]) =>
+        (r.sources || [{ source_query: r.sourceQuery, source_url: r.sourceUrl, strategy: r.strategy, name: r.name }]).map(source => ({
+            instagram_handle: handle,
+            run_id: runId,
+            query,
+            source_query: source.source_query || null,
+            source_url: source.source_url || null,
+            strategy: source.strategy || null,
+            name: source.name || null
+        }))
+    );
+
+    // `followers` (integer) is only written when known, so a result without a
+    // count doesn't wipe the one the dragnet scraped
+    const upserted = await storage.upsert('clubs', clubRows, { key: 'instagram_handle' });
+    for (const { key, message } of upserted.errors) {
+        console.error(`   ❌ clubs @${key}: ${message}`);
+        errors.push(`clubs @${key}: ${message}`);
+    }
+
+    const savedHandles = new Set(upserted.saved);
+    const saved = savedHandles.size;
+    const savedSourceRows = sourceRows.filter(row => savedHandles.has(row.instagram_handle));
+    const inserted = await storage.insert('club_sources', savedSourceRows.map(row => ({ ...row, discovered_at: now })));
+    for (const { index, message } of inserted.errors) {
+        console.error(`   ❌ club_sources @${savedSourceRows[index].instagram_handle}: ${message}`);
+        errors.push(`club_sources @${savedSourceRows[index].instagram_handle}: ${message}`);
+    }
+
+    console.log(`   ✅ Saved ${saved} clubs | ⏭️ ${skipped} without handle`);
+    return { enabled: true, saved, skipped, errors };
+}
+
+module.exports = { persistOmniSearchRun };
@@ -0,0 +1,45 @@
+const { resolveLLM } = require('./index');
+const { generateStructured, parseStructured } = require('../structured');
+const { cached } = require('../cache');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🤖 LLM HELPER — routes prompts to the run's provider (Gemini, OpenAI-compatible, mock)
+// `type` identifies the prompt: 'expansion', 'classification' or 'extraction'
+// ═══════════════════════════════════════════════════════════════════════════
+// Responses `valid(raw)` rejects are returned but not cached, so a bad answer
+// isn't replayed (and repaired again) for the cache's whole TTL.
+async function callLLM(prompt, type, ctx = {}, { valid } = {}) {
+    const llm = ctx.llm || resolveLLM();
+    const generate = () => llm.generate(prompt, { signal: ctx.signal, type });
+    if (llm.cacheable === false) return generate();
+    return cached('llm', [llm.name, llm.model, type, prompt], generate, { fresh: ctx.fresh, stats: ctx.cacheStats, keep: valid });
+}
+
+function matchesSchema(raw, schema) {
+    try {
+        parseStructured(raw, schema);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+// Schema-checked LLM call (see lib/structured.js). Tallies calls, repairs,
+// failures and dropped items per prompt type in ctx.llmStats for `debug`.
+async function callStructured(prompt, type, schema, ctx = {}) {
+    const stats = ctx.llmStats?.[type] || { calls: 0, repaired: 0, failed: 0, dropped_items: 0 };
+    if (ctx.llmStats) ctx.llmStats[type] = stats;
+    stats.calls++;
+
+    try {
+        const result = await generateStructured(p => callLLM(p, type, ctx, { valid: raw => matchesSchema(raw, schema) }), prompt, schema);
+        if (result.repaired) stats.repaired++;
+        stats.dropped_items += result.dropped;
+        return result.value;
+    } catch (err) {
+        stats.failed++;
+        throw err;
+    }
+}
+
+module.exports = { callLLM, callStructured };
@@ -0,0 +1,39 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Google Generative AI provider — primary model with automatic fallback
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PRIMARY_MODEL = process.env.GEMINI_PRIMARY_MODEL || 'gemini-2.0-flash';
+const FALLBACK_MODEL = process.env.GEMINI_FALLBACK_MODEL || 'gemini-1.5-flash';
+
+function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    async function tryModel(modelName, prompt, signal) {
+        const model = genAI.getGenerativeModel({ model: modelName });
+        const result = await model.generateContent(prompt, { signal });
+        return result.response.text();
+    }
+
+    return {
+        name: 'gemini',
+        model: PRIMARY_MODEL,
+        async generate(prompt, { signal } = {}) {
+            try {
+                return await tryModel(PRIMARY_MODEL, prompt, signal);
+            } catch (e1) {
+                // A cancelled job should not burn a second call on the fallback model
+                if (signal?.aborted) throw e1;
+                console.log(`   ⚠️ Primary model failed (${e1.message}), trying fallback...`);
+                try {
+                    return await tryModel(FALLBACK_MODEL, prompt, signal);
+                } catch (e2) {
+                    throw new Error(`Both models failed. Primary: ${e1.message} | Fallback: ${e2.message}`);
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,31 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🤖 LLM PROVIDERS
+// A provider is { name, model, cacheable?, generate(prompt, { signal, type }) → text }.
+// `type` names the prompt ('expansion', 'classification', 'extraction') so
+// backends like the mock can answer per phase. Default comes from LLM_PROVIDER.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider,
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+const instances = new Map();
+
+function resolveLLM(name) {
+    const key = (name || DEFAULT_PROVIDER).trim();
+    if (!PROVIDER_FACTORIES[key]) {
+        throw new Error(`Unknown LLM provider "${key}" (available: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+    if (!instances.has(key)) instances.set(key, PROVIDER_FACTORIES[key]());
+    return instances.get(key);
+}
+
+module.exports = { resolveLLM };
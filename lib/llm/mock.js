@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Deterministic mock provider — returns canned JSON keyed by prompt type
+// ('expansion', 'classification', 'extraction') from fixtures/llm/<type>.json
+// so every phase can run without network access.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+function createMockProvider({ dir = process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR } = {}) {
+    return {
+        name: 'mock',
+        model: 'mock',
+        cacheable: false,
+        async generate(prompt, { type } = {}) {
+            const file = path.join(dir, `${type}.json`);
+            if (!type || !fs.existsSync(file)) {
+                throw new Error(`Mock LLM has no canned response for prompt type "${type}"`);
+            }
+            // Wrapped in a code fence like real model output, so parsing is exercised too
+            return '```json\n' + fs.readFileSync(file, 'utf8').trim() + '\n```';
+        }
+    };
+}
+
+module.exports = { createMockProvider };
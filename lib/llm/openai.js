@@ -0,0 +1,44 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// OpenAI-compatible chat completions provider. Works with OpenAI itself and
+// local servers that speak the same API (Ollama, llama.cpp, vLLM, LM Studio).
+// ═══════════════════════════════════════════════════════════════════════════
+
+function createOpenAIProvider({
+    baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || 'llama3.1'
+} = {}) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        model,
+        async generate(prompt, { signal } = {}) {
+            const res = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: 0
+                }),
+                signal
+            });
+
+            if (!res.ok) {
+                const body = await res.text().catch(() => '');
+                throw new Error(`${endpoint} responded ${res.status}: ${body.slice(0, 200)}`);
+            }
+
+            const data = await res.json();
+            const text = data.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') throw new Error(`${endpoint} returned no message content`);
+            return text;
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
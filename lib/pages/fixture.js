@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Fixture page fetcher — replays recorded pages from disk so page mining runs
+// offline. A recording is { url, status?, content_type?, body, location? } (a file may
+// hold one recording or an array of them); robots.txt files are recordings
+// too. Unrecorded URLs answer 404, which for robots.txt means "allow all".
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'pages');
+
+function recordingKey(url) {
+    return url.trim().replace(/#.*$/, '').replace(/\/+$/, '').toLowerCase();
+}
+
+function loadRecordings(dir) {
+    const recordings = new Map();
+    if (!fs.existsSync(dir)) return recordings;
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        for (const rec of [].concat(data)) recordings.set(recordingKey(rec.url), rec);
+    }
+    return recordings;
+}
+
+function createFixtureFetcher({ dir = process.env.PAGE_FIXTURE_DIR || DEFAULT_FIXTURE_DIR } = {}) {
+    const recordings = loadRecordings(dir);
+    console.log(`   📼 Fixture page fetcher: ${recordings.size} recorded pages from ${dir}`);
+
+    return {
+        name: 'fixture',
+        // Replays are already local; caching them would only mask fixture edits
+        cacheable: false,
+        async get(url) {
+            const rec = recordings.get(recordingKey(url));
+            if (!rec) return { url, status: 404, content_type: '', body: '', truncated: false };
+            return { url, status: rec.status || 200, content_type: rec.content_type || 'text/html', body: rec.body || '', truncated: false, location: rec.location };
+        }
+    };
+}
+
+// Wraps a live fetcher and writes every response it returns as a fixture recording
+function withRecording(fetcher, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return {
+        ...fetcher,
+        async get(url, options) {
+            const page = await fetcher.get(url, options);
+            const file = crypto.createHash('sha1').update(recordingKey(url)).digest('hex').slice(0, 16) + '.json';
+            const recording = { url, status: page.status, content_type: page.content_type, body: page.body, location: page.location };
+            fs.writeFileSync(path.join(dir, file), JSON.stringify(recording, null, 2));
+            return page;
+        }
+    };
+}
+
+module.exports = { createFixtureFetcher, withRecording };
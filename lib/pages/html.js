@@ -0,0 +1,93 @@
+const { normalizeHandle } = require('../handles');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧾 HTML → TEXT & INSTAGRAM HANDLES
+// Regex-based on purpose: listicles and directories are simple documents and
+// we only need readable text plus the instagram.com links and @mentions in it.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : entity;
+        }
+        return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Elements that never hold article text, and site chrome (menus, footers with
+// the site's own social links)
+const SKIPPED_ELEMENTS = /<(script|style|noscript|svg|template|iframe|head|nav|footer)\b[\s\S]*?<\/\1\s*>/gi;
+
+function contentHtml(html) {
+    return String(html || '').replace(/<!--[\s\S]*?-->/g, ' ').replace(SKIPPED_ELEMENTS, ' ');
+}
+
+const BLOCK_END = /<\/(p|div|section|article|li|ul|ol|h[1-6]|tr|table|blockquote|header|aside|figure|figcaption)\s*>|<br\s*\/?>/gi;
+
+// Readable text: one block per line, list items as "- item"
+function htmlToText(html) {
+    return decodeEntities(contentHtml(html)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<h[1-6]\b[^>]*>/gi, '\n## ')
+        .replace(BLOCK_END, '\n')
+        .replace(/<[^>]*>/g, ' '))
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line && line !== '-' && line !== '##')
+        .join('\n');
+}
+
+function pageTitle(html) {
+    const match = String(html || '').match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? stripTags(match[1]) : null;
+}
+
+// <a href="https://instagram.com/x">Name</a> → [{ handle: 'x', name: 'Name' }]
+function instagramLinks(html) {
+    const found = [];
+    const anchors = /<a\b[^>]*\bhref\s*=\s*["']([^"']*instagram\.com\/[^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    for (const [, href, inner] of contentHtml(html).matchAll(anchors)) {
+        const handle = normalizeHandle(null, decodeEntities(href));
+        if (!handle) continue;
+        const text = stripTags(inner);
+        // Anchor text that is just the URL or "@handle" says nothing about the name
+        const name = text && !/instagram\.com/i.test(text) && text.replace(/^@/, '').toLowerCase() !== handle ? text : null;
+        found.push({ handle, name });
+    }
+    return found;
+}
+
+// "@vizag.runners" in running text (not emails, not URLs) and bare instagram.com URLs
+function instagramMentions(text) {
+    const found = [];
+    for (const [, raw] of String(text || '').matchAll(/(?:^|[^\w.@/])@([A-Za-z0-9._]{2,30})/g)) {
+        const handle = normalizeHandle(raw.replace(/\.+$/, ''));
+        if (handle) found.push({ handle, name: null });
+    }
+    for (const [url] of String(text || '').matchAll(/instagram\.com\/[A-Za-z0-9._]+/gi)) {
+        const handle = normalizeHandle(null, url);
+        if (handle) found.push({ handle, name: null });
+    }
+    return found;
+}
+
+// Every Instagram account a page links or mentions, one per handle, named
+// from link text where the page gives one
+function instagramHandlesOnPage(html, text = htmlToText(html)) {
+    const byHandle = new Map();
+    for (const { handle, name } of [...instagramLinks(html), ...instagramMentions(text)]) {
+        if (!byHandle.has(handle)) byHandle.set(handle, { handle, name });
+        else if (!byHandle.get(handle).name && name) byHandle.get(handle).name = name;
+    }
+    return [...byHandle.values()];
+}
+
+module.exports = { htmlToText, pageTitle, instagramLinks, instagramMentions, instagramHandlesOnPage };
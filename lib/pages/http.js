@@ -0,0 +1,67 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Live page fetcher — plain HTTP GET with a timeout (PAGE_TIMEOUT_MS) and a
+// body size cap (PAGE_MAX_BYTES); bodies over the cap are cut off there
+// rather than rejected, since a listicle's clubs are rarely at the very end.
+// ═══════════════════════════════════════════════════════════════════════════
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+// Reads at most `maxBytes` of the body, then cancels the rest of the download
+async function readCapped(res, maxBytes) {
+    if (!res.body) return { body: '', truncated: false };
+    const reader = res.body.getReader();
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.length;
+        if (size >= maxBytes) {
+            truncated = true;
+            await reader.cancel().catch(() => {});
+            break;
+        }
+    }
+    return { body: Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8'), truncated };
+}
+
+function createHttpFetcher({
+    userAgent,
+    timeoutMs = envNumber('PAGE_TIMEOUT_MS', 8000),
+    maxBytes = envNumber('PAGE_MAX_BYTES', 1000000)
+} = {}) {
+    return {
+        name: 'http',
+        // → { url, status, content_type, body, truncated, location }. With
+        // `redirect: 'manual'` a redirect comes back as is (status 3xx and its
+        // `location`) so the caller can vet the next hop; `url` is after any
+        // redirects followed.
+        async get(url, { signal, accept = 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5', redirect = 'follow' } = {}) {
+            const timeout = AbortSignal.timeout(timeoutMs);
+            const res = await fetch(url, {
+                headers: { 'User-Agent': userAgent, Accept: accept },
+                redirect,
+                signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+            });
+            const contentType = res.headers.get('content-type') || '';
+            if (res.status >= 300 && res.status < 400 && res.headers.has('location')) {
+                await res.body?.cancel().catch(() => {});
+                return { url: res.url || url, status: res.status, content_type: contentType, body: '', truncated: false, location: res.headers.get('location') };
+            }
+            // No point downloading an error page or a PDF
+            if (!res.ok || !/text\/|html|xml/i.test(contentType)) {
+                await res.body?.cancel().catch(() => {});
+                return { url: res.url || url, status: res.status, content_type: contentType, body: '', truncated: false };
+            }
+            const { body, truncated } = await readCapped(res, maxBytes);
+            return { url: res.url || url, status: res.status, content_type: contentType, body, truncated };
+        }
+    };
+}
+
+module.exports = { createHttpFetcher };
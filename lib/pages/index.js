@@ -0,0 +1,188 @@
+const { createHttpFetcher } = require('./http');
+const { createFixtureFetcher, withRecording } = require('./fixture');
+const { parseRobots, robotsAllows } = require('./robots');
+const { htmlToText, pageTitle, instagramHandlesOnPage } = require('./html');
+const { cached } = require('../cache');
+const { createScheduler } = require('../search/rate-limit');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📄 WEB PAGE MINING
+// Optional stage between search and extraction: downloads the web results
+// (listicles, directories), checks robots.txt first, turns the HTML into
+// trimmed text and pulls out every instagram.com link and @mention, so the
+// extractor sees the whole "15 Best Run Clubs" list and not just its snippet.
+// A fetcher is { name, cacheable?, get(url, { signal, accept, redirect }) → { url,
+// status, content_type, body, truncated, location? } }. Pages are fetched one
+// hop at a time (redirect: 'manual'), so every redirect target passes the
+// robots.txt and host checks too.
+//
+//   FETCH_PAGES=on         mine pages unless a request sends fetch_pages: false
+//   PAGE_SOURCE=http|fixture    PAGE_RECORD_DIR    PAGE_FIXTURE_DIR
+//   PAGE_MAX_FETCHES=20    PAGE_CONCURRENCY=4    PAGE_TEXT_CHARS=6000
+//   PAGE_TIMEOUT_MS=8000   PAGE_MAX_BYTES=1000000
+// ═══════════════════════════════════════════════════════════════════════════
+
+const FETCHER_FACTORIES = {
+    http: createHttpFetcher,
+    fixture: createFixtureFetcher,
+};
+
+const DEFAULT_SOURCE = process.env.PAGE_SOURCE || 'http';
+const FETCH_PAGES = process.env.FETCH_PAGES === 'on';
+const PAGE_MAX_FETCHES = parseInt(process.env.PAGE_MAX_FETCHES, 10) || 20;
+const PAGE_CONCURRENCY = parseInt(process.env.PAGE_CONCURRENCY, 10) || 4;
+const PAGE_TEXT_CHARS = parseInt(process.env.PAGE_TEXT_CHARS, 10) || 6000;
+
+const USER_AGENT = 'AlterionDiscoveryBot/1.0';
+const ROBOTS_AGENT = 'AlterionDiscoveryBot';
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const MAX_REDIRECTS = 5;
+// robots.txt answering 5xx: stay off the site, as crawlers do
+const DISALLOW_ALL = [{ agents: ['*'], rules: [{ allow: false, pattern: '/' }] }];
+
+// Login walls and JS apps with nothing to parse; Instagram results are classified directly
+const SKIPPED_HOSTS = /(^|\.)(instagram\.com|facebook\.com|fb\.com|youtube\.com|youtu\.be|twitter\.com|x\.com|tiktok\.com|linkedin\.com|threads\.net)$/i;
+
+const instances = new Map();
+
+function resolvePageFetcher(name) {
+    const key = (name || DEFAULT_SOURCE).trim();
+    if (!FETCHER_FACTORIES[key]) {
+        throw new Error(`Unknown page source "${key}" (available: ${Object.keys(FETCHER_FACTORIES).join(', ')})`);
+    }
+    if (!instances.has(key)) {
+        let fetcher = FETCHER_FACTORIES[key]({ userAgent: USER_AGENT });
+        // PAGE_RECORD_DIR captures live pages for the fixture fetcher
+        if (process.env.PAGE_RECORD_DIR && key !== 'fixture') {
+            fetcher = withRecording(fetcher, process.env.PAGE_RECORD_DIR);
+        }
+        instances.set(key, fetcher);
+    }
+    return instances.get(key);
+}
+
+function pageError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// fetcher name + origin → { groups, expiresAt }
+const robotsCache = new Map();
+
+async function robotsFor(origin, fetcher, signal) {
+    const key = `${fetcher.name}|${origin}`;
+    const hit = robotsCache.get(key);
+    if (hit && hit.expiresAt > Date.now()) return hit.groups;
+
+    let res;
+    try {
+        res = await fetcher.get(`${origin}/robots.txt`, { signal, accept: 'text/plain' });
+    } catch (err) {
+        // Unreachable site: the page fails, and the next run asks again
+        if (signal?.aborted) throw err;
+        throw pageError(`robots.txt unreachable (${err.cause?.code || err.message})`, 'FETCH_FAILED');
+    }
+    // No robots.txt (4xx) allows everything
+    const groups = res.status >= 500 ? DISALLOW_ALL : res.status >= 400 ? [] : parseRobots(res.body);
+    robotsCache.set(key, { groups, expiresAt: Date.now() + ROBOTS_TTL_MS });
+    return groups;
+}
+
+// url → { url, title, text, handles, truncated }. Throws with `code`
+// ROBOTS_DISALLOWED, FETCH_FAILED, HTTP_ERROR or NOT_HTML.
+async function fetchPage(url, { fetcher = resolvePageFetcher(), signal } = {}) {
+    let res;
+    for (let hop = 0; ; hop++) {
+        const { origin, pathname, search, protocol, hostname } = new URL(url);
+        // A redirect can lead anywhere, so each hop gets the first URL's checks
+        if (hop > 0 && (!/^https?:$/.test(protocol) || SKIPPED_HOSTS.test(hostname))) {
+            throw pageError(`Redirected to ${hostname || protocol}`, 'FETCH_FAILED');
+        }
+        if (!robotsAllows(await robotsFor(origin, fetcher, signal), pathname + search, ROBOTS_AGENT)) {
+            throw pageError('Blocked by robots.txt', 'ROBOTS_DISALLOWED');
+        }
+        try {
+            res = await fetcher.get(url, { signal, redirect: 'manual' });
+        } catch (err) {
+            if (signal?.aborted) throw err;
+            throw pageError(err.cause?.code || err.message, 'FETCH_FAILED');
+        }
+        if (!res.location || res.status < 300 || res.status >= 400) break;
+        if (hop >= MAX_REDIRECTS) throw pageError(`More than ${MAX_REDIRECTS} redirects`, 'FETCH_FAILED');
+        url = new URL(res.location, url).href;
+    }
+    if (res.status >= 400) throw pageError(`HTTP ${res.status}`, 'HTTP_ERROR');
+    if (!/html|xml/i.test(res.content_type) || !res.body) throw pageError(`Not HTML (${res.content_type || 'no content type'})`, 'NOT_HTML');
+
+    const text = htmlToText(res.body);
+    return {
+        url: res.url,
+        title: pageTitle(res.body),
+        // Handles come from the whole page, so trimming the text never loses one
+        text: text.length > PAGE_TEXT_CHARS ? text.slice(0, PAGE_TEXT_CHARS) + '\n[…]' : text,
+        handles: instagramHandlesOnPage(res.body, text),
+        truncated: res.truncated || text.length > PAGE_TEXT_CHARS
+    };
+}
+
+// Per-run counters reported in meta.pages
+function emptyPageStats() {
+    return { requested: 0, fetched: 0, blocked: 0, failed: 0, skipped: 0, handles_found: 0 };
+}
+
+function minable(item) {
+    try {
+        const { protocol, hostname } = new URL(item.link);
+        return /^https?:$/.test(protocol) && !SKIPPED_HOSTS.test(hostname);
+    } catch (_) {
+        return false;
+    }
+}
+
+// Fetches up to `maxFetches` of the web `items` (in search order) and returns
+// them with `pageContent` (trimmed text) and `pageHandles` ([{ handle, name }])
+// added where the page could be read. `onPage({ url, status, handles, error,
+// completed, total })` reports each page. `ctx` is the run context: signal,
+// fresh, cacheStats and the `pageFetcher` to use.
+async function minePages(items, ctx, { maxFetches = PAGE_MAX_FETCHES, onPage = () => {} } = {}) {
+    const fetcher = ctx.pageFetcher || resolvePageFetcher();
+    const stats = emptyPageStats();
+    const targets = items.filter(minable).slice(0, maxFetches);
+    stats.skipped = items.length - targets.length;
+    stats.requested = targets.length;
+
+    const scheduler = createScheduler({ concurrency: PAGE_CONCURRENCY, perSecond: PAGE_CONCURRENCY, burst: PAGE_CONCURRENCY });
+    const pages = new Map();
+    let completed = 0;
+
+    await Promise.all(targets.map(item => scheduler.schedule(async () => {
+        const load = () => fetchPage(item.link, { fetcher, signal: ctx.signal });
+        let status = 'fetched';
+        let error = null;
+        try {
+            const page = fetcher.cacheable === false
+                ? await load()
+                : await cached('page', [item.link], load, { fresh: ctx.fresh, stats: ctx.cacheStats });
+            pages.set(item.link, page);
+            stats.fetched++;
+            stats.handles_found += page.handles.length;
+        } catch (err) {
+            if (ctx.signal?.aborted) throw err;
+            status = err.code === 'ROBOTS_DISALLOWED' ? 'blocked' : 'failed';
+            stats[status]++;
+            error = err.message;
+        }
+        onPage({ url: item.link, status, handles: pages.get(item.link)?.handles.length || 0, error, completed: ++completed, total: targets.length });
+    }, ctx.signal)));
+
+    return {
+        items: items.map(item => {
+            const page = pages.get(item.link);
+            return page ? { ...item, pageContent: page.text, pageHandles: page.handles } : item;
+        }),
+        stats
+    };
+}
+
+module.exports = { minePages, fetchPage, resolvePageFetcher, emptyPageStats, FETCH_PAGES, PAGE_MAX_FETCHES };
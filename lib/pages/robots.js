@@ -0,0 +1,65 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🤖 ROBOTS.TXT
+// Just enough of RFC 9309 for polite page fetching: user-agent groups,
+// Allow / Disallow with `*` and `$`, longest match wins (Allow on ties).
+// ═══════════════════════════════════════════════════════════════════════════
+
+// robots.txt text → [{ agents: [...], rules: [{ allow, pattern }] }]
+function parseRobots(text) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [] };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!group || (field !== 'allow' && field !== 'disallow')) continue;
+        // "Disallow:" with no path allows everything
+        if (value) group.rules.push({ allow: field === 'allow', pattern: value });
+    }
+    return groups;
+}
+
+function patternMatches(pattern, urlPath) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+// Rules for `agent`: its own group(s) if named, else the `*` group(s)
+function rulesFor(groups, agent) {
+    const token = agent.toLowerCase();
+    const own = groups.filter(g => g.agents.some(a => a !== '*' && token.includes(a)));
+    return (own.length > 0 ? own : groups.filter(g => g.agents.includes('*'))).flatMap(g => g.rules);
+}
+
+// Whether `agent` may fetch `urlPath` (path + query) under `groups`
+function robotsAllows(groups, urlPath, agent) {
+    let best = null;
+    for (const rule of rulesFor(groups, agent)) {
+        if (!patternMatches(rule.pattern, urlPath)) continue;
+        const length = rule.pattern.replace(/\$$/, '').length;
+        if (!best || length > best.length || (length === best.length && rule.allow)) {
+            best = { length, allow: rule.allow };
+        }
+    }
+    return best ? best.allow : true;
+}
+
+module.exports = { parseRobots, robotsAllows };
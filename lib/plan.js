@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗺️ SEARCH PLANS
+// A plan is the (possibly user-edited) expansion an omni-search executes:
+// { location, neighborhoods, categories, intent, queries }. Page allocation
+// decides how many CSE pages each query gets under an optional total budget.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_PAGES = { instagram: 3, web: 2 };
+// CSE serves at most 100 results (start <= 91) per query
+const MAX_PAGES_PER_QUERY = 10;
+const MAX_PLAN_QUERIES = 100;
+const CSE_COST_PER_1000 = parseFloat(process.env.CSE_COST_PER_1000) || 5;
+
+function toStringList(value, field) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error(`plan.${field} must be an array`);
+    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
+}
+
+function toPageCount(value, fallback, field) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_PAGES_PER_QUERY) {
+        throw new Error(`${field} must be an integer between 0 and ${MAX_PAGES_PER_QUERY}`);
+    }
+    return n;
+}
+
+// Validates a client-supplied plan (object or JSON string). Throws on bad input.
+function normalizePlan(input, query) {
+    const raw = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!raw || typeof raw !== 'object') throw new Error('plan must be an object');
+
+    const queries = toStringList(raw.queries, 'queries');
+    if (queries.length === 0) throw new Error('plan.queries must contain at least one query');
+    if (queries.length > MAX_PLAN_QUERIES) throw new Error(`plan.queries is limited to ${MAX_PLAN_QUERIES} queries`);
+
+    return {
+        location: raw.location ? String(raw.location) : 'Unknown',
+        neighborhoods: toStringList(raw.neighborhoods, 'neighborhoods'),
+        categories: toStringList(raw.categories, 'categories'),
+        intent: raw.intent ? String(raw.intent) : query,
+        queries
+    };
+}
+
+function normalizePages(pages = {}) {
+    return {
+        instagram: toPageCount(pages.instagram, DEFAULT_PAGES.instagram, 'pages.instagram'),
+        web: toPageCount(pages.web, DEFAULT_PAGES.web, 'pages.web')
+    };
+}
+
+function normalizeMaxPages(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error('max_pages must be a positive integer');
+    return n;
+}
+
+// Per-query page counts. Without a budget every query gets the full `pages`;
+// with one, pages are handed out breadth-first (page 1 of every query — IG
+// before web — then page 2, ...) so a tight budget still covers every query.
+// `costPerPage` is how many API calls one page costs (one per API provider).
+function allocatePages(queries, pages = DEFAULT_PAGES, maxPages = null, costPerPage = 1) {
+    const allocation = queries.map(query => ({ query, instagram: 0, web: 0 }));
+    let remaining = maxPages === null ? Infinity : Math.floor(maxPages / Math.max(1, costPerPage));
+
+    const depth = Math.max(pages.instagram, pages.web);
+    for (let level = 1; level <= depth; level++) {
+        for (const strategy of ['instagram', 'web']) {
+            if (level > pages[strategy]) continue;
+            for (const entry of allocation) {
+                if (remaining <= 0) return allocation;
+                entry[strategy]++;
+                remaining--;
+            }
+        }
+    }
+    return allocation;
+}
+
+// Verification lookups a run may make: `maxLookups`, or fewer when the
+// search allocation leaves less of the page budget. Each lookup is one page
+// per API provider, like a search page.
+function allocateVerifyLookups(allocation, maxLookups, maxPages = null, costPerPage = 1) {
+    if (maxPages === null) return maxLookups;
+    const cost = Math.max(1, costPerPage);
+    const spent = allocation.reduce((sum, a) => sum + a.instagram + a.web, 0) * cost;
+    return Math.max(0, Math.min(maxLookups, Math.floor((maxPages - spent) / cost)));
+}
+
+// Upper-bound cost of executing an allocation. Expansion is excluded — by the
+// time a plan exists it has already been paid for. Verification lookups depend
+// on what the search finds, so `verifyLookups` is their cap (see
+// allocateVerifyLookups); they count against the quota with the search pages.
+// Up to `pageFetches` web results are fetched and extracted `pageBatchSize` at a time.
+function estimatePlan(allocation, {
+    apiProviders = 1, igBatchSize, webBatchSize, verifyLookups = 0, remainingQuota = null, pageFetches = 0, pageBatchSize = webBatchSize
+}) {
+    const igPages = allocation.reduce((sum, a) => sum + a.instagram, 0);
+    const webPages = allocation.reduce((sum, a) => sum + a.web, 0);
+    const csePages = (igPages + webPages) * apiProviders;
+    const verifyPages = verifyLookups * apiProviders;
+
+    const classificationCalls = Math.ceil((igPages * 10) / igBatchSize);
+    const fetchedPages = Math.min(webPages * 10, pageFetches);
+    const extractionCalls = Math.ceil((webPages * 10 - fetchedPages) / webBatchSize) + Math.ceil(fetchedPages / pageBatchSize);
+
+    return {
+        queries: allocation.filter(a => a.instagram + a.web > 0).length,
+        queries_dropped: allocation.filter(a => a.instagram + a.web === 0).length,
+        instagram_pages: igPages,
+        web_pages: webPages,
+        cse_requests: csePages,
+        cse_cost_usd: Math.round(csePages * CSE_COST_PER_1000 / 10) / 100,
+        verify_lookups_max: verifyLookups,
+        verify_cse_requests_max: verifyPages,
+        page_fetches_max: fetchedPages,
+        llm_calls_max: classificationCalls + extractionCalls,
+        remaining_cse_quota: remainingQuota,
+        within_quota: remainingQuota === null ? null : csePages + verifyPages <= remainingQuota
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGES,
+    normalizePlan,
+    normalizePages,
+    normalizeMaxPages,
+    allocatePages,
+    allocateVerifyLookups,
+    estimatePlan,
+};
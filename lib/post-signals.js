@@ -0,0 +1,338 @@
+const { callStructured } = require('./llm/call');
+const { POST_SIGNAL_LIST_SCHEMA } = require('./structured');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📅 POST SIGNALS
+// Turns an account's scraped posts into what a lead list needs: recurring
+// meetups ("Sundays 5:30am, RK Beach"), where it meets, and upcoming events.
+// The regex pass is free and runs on every account; the optional LLM pass
+// (POST_SIGNALS_LLM=on or --post-signals-llm) reads the captions the regexes
+// can't, and only for accounts whose captions mention a time or date.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_PLURALS = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DAY_PATTERN = /\b(sun|mon|tues?|wed(?:nes)?|weds|thu(?:rs?)?|fri|sat(?:ur)?)(day)?(s)?\b|\b(weekends?|weekdays|daily|every\s*day)\b/gi;
+const DAY_NAME = '(sun|mon|tues?|wed(?:nes)?|weds|thu(?:rs?)?|fri|sat(?:ur)?)(?:day)?s?\\.?';
+// "Mon-Fri", "Tue – Sat", "Mon to Thu"
+const DAY_RANGE_PATTERN = new RegExp(`\\b${DAY_NAME}\\s*(?:-|–|—|\\bto\\b|\\btill\\b|\\bthrough\\b)\\s*${DAY_NAME}(?![a-z])`, 'gi');
+const TIME_PATTERN = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b|\b([01]?\d|2[0-3]):([0-5]\d)\b/i;
+// "6-9pm", "6:30–8:00 am", "7am to 10am"
+const TIME_RANGE_PATTERN = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|–|—|\bto\b)\s*(\d{1,2})(?:[:.]\d{2})?\s*(am|pm)\b/i;
+const RECURRING_PATTERN = /\b(every|weekly|each|daily|weekends|weekdays)\b|\b(sun|mon|tues|wednes|thurs|fri|satur)days\b/i;
+const RELATIVE_DAY_PATTERN = /\b(this|next|coming)\s+(sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)(?:day)?\b|\b(tomorrow)\b/i;
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b';
+const DAY_MONTH_PATTERN = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}\\.?(?:,?\\s+(\\d{4}))?`, 'i');
+const MONTH_DAY_PATTERN = new RegExp(`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i');
+const MONTH_WORD = new RegExp(`^${MONTH}$`, 'i');
+const DAY_WORD = /^(sun|mon|tues?|wed(?:nes)?|weds|thu(?:rs?)?|fri|sat(?:ur)?)(day)?s?$/i;
+const EVENT_PATTERN = /\b(race|marathon|\d+\s?k|run|ride|event|meet-?up|workshop|session|tournament|camp|trek|hike|register|registration|launch|edition|training|championship|league|match)\b/i;
+// "at RK Beach", "from MVP Colony Sector 6" — capitalised words after a place preposition
+// (numbers are kept for "Sector 6" but not when they're the start of a time)
+const PLACE_PATTERN = /(?:\b(?:at|from|near)|@)\s+([A-Z][\w'’.-]*(?:\s+(?:[A-Z][\w'’.-]*|\d+(?![\d:.]|\s*[ap]m\b)|of|the)){0,4})/g;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Undated years are assumed to be the post's; a date this far before the post means next year
+const PAST_EVENT_GRACE_DAYS = 7;
+
+function dayIndex(token) {
+    return DAYS.findIndex(d => d.toLowerCase() === token.slice(0, 3).toLowerCase());
+}
+
+// Sentence → sorted day indexes it mentions
+function daysIn(sentence) {
+    const days = new Set();
+    // Ranges cover every day in between (wrapping past Sunday for "Fri-Mon")
+    const rest = sentence.replace(DAY_RANGE_PATTERN, (_, from, to) => {
+        const end = dayIndex(to);
+        for (let d = dayIndex(from); ; d = (d + 1) % 7) {
+            days.add(d);
+            if (d === end) break;
+        }
+        return ' ';
+    });
+    for (const match of rest.matchAll(DAY_PATTERN)) {
+        const word = match[0].toLowerCase();
+        if (/^weekends?$/.test(word)) [0, 6].forEach(d => days.add(d));
+        else if (word === 'weekdays') [1, 2, 3, 4, 5].forEach(d => days.add(d));
+        else if (/^(daily|every\s*day)$/.test(word)) DAYS.forEach((_, d) => days.add(d));
+        // "sun"/"sat" alone are too often ordinary words; need "Sunday", "Sun." style context
+        else if (match[2] || match[3] || /^[A-Z]/.test(match[0]) || !['sun', 'sat'].includes(word)) {
+            days.add(dayIndex(match[1]));
+        }
+    }
+    return [...days].sort((a, b) => a - b);
+}
+
+function clockTime(hour, minute, meridiem) {
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        if (meridiem.toLowerCase() === 'pm' && hour !== 12) hour += 12;
+        if (meridiem.toLowerCase() === 'am' && hour === 12) hour = 0;
+    }
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// "5:30am" / "18:00" → "05:30" / "18:00"; a range gives its start ("6-9pm" →
+// "18:00"). null when there's no time.
+function timeIn(sentence) {
+    const range = sentence.match(TIME_RANGE_PATTERN);
+    if (range) {
+        const start = Number(range[1]);
+        let meridiem = range[3];
+        if (!meridiem) {
+            // The end's am/pm carries back, unless the range crosses it: "11-1pm" starts at 11am
+            const crosses = start % 12 > Number(range[4]) % 12;
+            meridiem = crosses ? (range[5].toLowerCase() === 'pm' ? 'am' : 'pm') : range[5];
+        }
+        return clockTime(start, Number(range[2] ?? 0), meridiem);
+    }
+    const match = sentence.match(TIME_PATTERN);
+    if (!match) return null;
+    return clockTime(Number(match[1] ?? match[4]), Number(match[2] ?? match[5] ?? 0), match[3]);
+}
+
+function placesIn(sentence) {
+    const places = [];
+    for (const match of sentence.matchAll(PLACE_PATTERN)) {
+        const place = match[1].replace(/[.'’-]+$/, '').trim();
+        const first = place.split(/\s+/)[0].replace(/\.$/, '');
+        if (DAY_WORD.test(first) || MONTH_WORD.test(first)) continue;
+        places.push(place);
+    }
+    return places;
+}
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Explicit or relative date in `sentence`, resolved against the post's timestamp
+function dateIn(sentence, postedAt) {
+    const base = postedAt && !Number.isNaN(postedAt.getTime()) ? postedAt : null;
+
+    const relative = sentence.match(RELATIVE_DAY_PATTERN);
+    if (relative && base) {
+        if (relative[3]) return isoDate(new Date(base.getTime() + DAY_MS));
+        const target = dayIndex(relative[2]);
+        let ahead = (target - base.getUTCDay() + 7) % 7;
+        if (relative[1].toLowerCase() === 'next' && ahead === 0) ahead = 7;
+        return isoDate(new Date(base.getTime() + ahead * DAY_MS));
+    }
+
+    let day, month, year;
+    const dayMonth = sentence.match(DAY_MONTH_PATTERN);
+    const monthDay = !dayMonth && sentence.match(MONTH_DAY_PATTERN);
+    if (dayMonth) [day, month, year] = [dayMonth[1], dayMonth[2], dayMonth[3]];
+    else if (monthDay) [month, day, year] = [monthDay[1], monthDay[2], monthDay[3]];
+    else return null;
+
+    const monthIndex = MONTHS.indexOf(month.slice(0, 3).toLowerCase());
+    if (Number(day) < 1 || Number(day) > 31) return null;
+    const guessYear = year ? Number(year) : (base || new Date()).getUTCFullYear();
+    let date = new Date(Date.UTC(guessYear, monthIndex, Number(day)));
+    if (!year && base && date.getTime() < base.getTime() - PAST_EVENT_GRACE_DAYS * DAY_MS) {
+        date = new Date(Date.UTC(guessYear + 1, monthIndex, Number(day)));
+    }
+    return isoDate(date);
+}
+
+function sentencesOf(caption) {
+    return String(caption || '')
+        .split(/[\n!?]+|\.(?=\s|$)/)
+        .map(s => s.replace(/#[\p{L}\p{N}_]+/gu, '').trim())
+        .filter(Boolean);
+}
+
+// Apify hashtag-scraper posts and profile-scraper latestPosts → one shape
+function normalizePost(post, hashtag = null) {
+    return {
+        post_id: String(post.id || post.shortCode || post.url || ''),
+        shortcode: post.shortCode || null,
+        url: post.url || (post.shortCode ? `https://www.instagram.com/p/${post.shortCode}/` : null),
+        caption: post.caption || '',
+        posted_at: post.timestamp || null,
+        location_name: post.locationName || null,
+        hashtags: post.hashtags || (hashtag ? [hashtag] : []),
+        likes: post.likesCount ?? null,
+        comments: post.commentsCount ?? null
+    };
+}
+
+// Regex pass over one post → { schedules, events, places }
+function signalsFromPost(post) {
+    const postedAt = post.posted_at ? new Date(post.posted_at) : null;
+    const schedules = [];
+    const events = [];
+    const places = [];
+    if (post.location_name) places.push(post.location_name);
+
+    for (const sentence of sentencesOf(post.caption)) {
+        const sentencePlaces = placesIn(sentence);
+        places.push(...sentencePlaces);
+        const location = sentencePlaces[0] || post.location_name || null;
+        const time = timeIn(sentence);
+        const date = dateIn(sentence, postedAt);
+
+        if (date && (EVENT_PATTERN.test(sentence) || time)) {
+            events.push({ date, time, title: sentence.slice(0, 120), location, url: post.url });
+            continue;
+        }
+        const days = daysIn(sentence);
+        if (days.length > 0 && time) {
+            // "Mon/Wed/Fri 7pm" lists several days: a timetable, not a one-off
+            schedules.push({ days, time, location, recurring: days.length > 1 || RECURRING_PATTERN.test(sentence) });
+        }
+    }
+    return { schedules, events, places };
+}
+
+// [0] → "Sundays", [3, 6] → "Wed & Sat", [1..5] → "Weekdays"
+function formatDays(days) {
+    const key = days.join(',');
+    if (key === '0,1,2,3,4,5,6') return 'Daily';
+    if (key === '1,2,3,4,5') return 'Weekdays';
+    if (key === '0,6') return 'Weekends';
+    if (days.length === 1) return DAY_PLURALS[days[0]];
+    // Week starting Monday reads more naturally: "Sat & Sun" not "Sun & Sat"
+    const ordered = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(d => DAYS[d]);
+    return ordered.slice(0, -1).join(', ') + ' & ' + ordered[ordered.length - 1];
+}
+
+// "05:30" → "5:30am"
+function formatTime(time) {
+    const [h, m] = time.split(':').map(Number);
+    const suffix = h < 12 ? 'am' : 'pm';
+    const hour = h % 12 || 12;
+    return `${hour}${m ? ':' + String(m).padStart(2, '0') : ''}${suffix}`;
+}
+
+function scheduleSummary({ days, time, location }) {
+    return `${formatDays(days)} ${formatTime(time)}${location ? `, ${location}` : ''}`;
+}
+
+function mostCommon(values) {
+    const counts = new Map();
+    values.filter(Boolean).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts].sort((a, b) => b[1] - a[1]).map(([value, count]) => ({ name: value, mentions: count }));
+}
+
+// Combines per-post findings (plus optional LLM findings) into account signals:
+// {
+//   meeting_summary: "Sundays 5:30am, RK Beach" | null,
+//   schedules: [{ days, time, location, mentions, summary, source }],
+//   meeting_locations: [{ name, mentions }],
+//   upcoming_events: [{ date, time, title, location, url, source }]
+// }
+// A schedule must read as recurring ("every", "Sundays", several days) or show
+// up in two or more posts; events are kept when they fall on or after `now`.
+function summarizeSignals(found, { now = new Date() } = {}) {
+    const schedules = new Map();
+    for (const s of found.schedules) {
+        const key = `${s.days.join(',')}|${s.time}`;
+        const entry = schedules.get(key) || { days: s.days, time: s.time, locations: [], mentions: 0, recurring: false, source: s.source || 'regex' };
+        entry.mentions++;
+        entry.recurring = entry.recurring || s.recurring || s.source === 'llm';
+        entry.locations.push(s.location);
+        schedules.set(key, entry);
+    }
+
+    const kept = [...schedules.values()]
+        .filter(s => s.recurring || s.mentions >= 2)
+        .map(s => {
+            const location = mostCommon(s.locations)[0]?.name || null;
+            const schedule = { days: s.days.map(d => DAYS[d]), time: s.time, location, mentions: s.mentions, source: s.source };
+            return { ...schedule, summary: scheduleSummary({ days: s.days, time: s.time, location }) };
+        })
+        .sort((a, b) => b.mentions - a.mentions);
+
+    const today = isoDate(now);
+    const events = new Map();
+    for (const e of found.events) {
+        if (e.date < today) continue;
+        const key = `${e.date}|${e.title.toLowerCase().slice(0, 40)}`;
+        if (!events.has(key)) events.set(key, { ...e, source: e.source || 'regex' });
+    }
+
+    return {
+        meeting_summary: kept[0]?.summary || null,
+        schedules: kept,
+        meeting_locations: mostCommon(found.places).slice(0, 5),
+        upcoming_events: [...events.values()].sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+function signalsFromPosts(posts) {
+    const found = { schedules: [], events: [], places: [] };
+    for (const post of posts) {
+        const { schedules, events, places } = signalsFromPost(post);
+        found.schedules.push(...schedules);
+        found.events.push(...events);
+        found.places.push(...places);
+    }
+    return found;
+}
+
+// Worth an LLM call only when some caption mentions a time or a date
+function hasTimingHints(posts) {
+    return posts.some(p => sentencesOf(p.caption).some(s => TIME_PATTERN.test(s) || dateIn(s, null) || RELATIVE_DAY_PATTERN.test(s)));
+}
+
+async function llmSignals(username, posts, ctx) {
+    const captions = posts
+        .filter(p => p.caption)
+        .slice(0, 15)
+        .map(p => `- [${p.posted_at || 'undated'}${p.location_name ? ` @ ${p.location_name}` : ''}] ${p.caption.replace(/\s+/g, ' ').slice(0, 400)}`)
+        .join('\n');
+
+    const prompt = `Below are recent Instagram captions from @${username}, a fitness/community account.
+Extract (1) RECURRING meetups — sessions that repeat on a weekly pattern — and (2) one-off EVENTS with a specific date.
+
+Captions (each prefixed with its post date and tagged location):
+${captions}
+
+Return a JSON array, one object per meetup or event:
+- kind: "schedule" or "event"
+- days: for schedules, days of the week as ["Sun", "Mon", ...]; [] for events
+- time: 24-hour "HH:MM" start time, or null
+- date: for events, "YYYY-MM-DD" (resolve "this Saturday" against the post date); null for schedules
+- location: meeting point as written (e.g. "RK Beach"), or null
+- title: short description
+
+Only include what the captions actually state. Return [] if there is nothing.`;
+
+    const items = await callStructured(prompt, 'post_signals', POST_SIGNAL_LIST_SCHEMA, ctx);
+    const found = { schedules: [], events: [], places: [] };
+    for (const item of items) {
+        // Anything that isn't a day name ("Weekdays") is dropped before the check
+        const days = [...new Set((item.days || []).map(dayIndex).filter(d => d !== -1))].sort((a, b) => a - b);
+        if (item.kind === 'schedule' && days.length > 0 && item.time) {
+            found.schedules.push({ days, time: item.time, location: item.location, recurring: true, source: 'llm' });
+        } else if (item.kind === 'event' && item.date) {
+            found.events.push({ date: item.date, time: item.time, title: item.title || '', location: item.location, url: null, source: 'llm' });
+        }
+        if (item.location) found.places.push(item.location);
+    }
+    return found;
+}
+
+// Posts for one account → summarizeSignals() output. With `llm` set, `ctx`
+// is the LLM context for callStructured ({ llm, llmStats, cacheStats }).
+async function extractPostSignals(username, posts, { llm = false, ctx = {}, now = new Date() } = {}) {
+    const found = signalsFromPosts(posts);
+    if (llm && hasTimingHints(posts)) {
+        try {
+            const fromLlm = await llmSignals(username, posts, ctx);
+            found.schedules.push(...fromLlm.schedules);
+            found.events.push(...fromLlm.events);
+            found.places.push(...fromLlm.places);
+        } catch (err) {
+            console.log(`   ⚠️  @${username}: LLM post signals failed (${err.message.substring(0, 60)})`);
+        }
+    }
+    return summarizeSignals(found, { now });
+}
+
+module.exports = { extractPostSignals, normalizePost, signalsFromPost, summarizeSignals };
@@ -0,0 +1,102 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ⏰ IN-PROCESS SCHEDULER
+// Standard 5-field cron expressions (minute hour day-of-month month
+// day-of-week) with *, lists, ranges and steps — "0 3 * * 1", "*/30 6-22 * * *".
+// Day-of-week 0 and 7 are both Sunday. As in Vixie cron, when both day fields
+// are restricted (don't start with "*", so "*/2" isn't) a day matching either
+// one fires.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 },
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// "1-5", "*/15", "0,30" → Set of allowed values. Throws on anything else.
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid cron ${name} "${text}"`);
+        const [, range, start, end, step] = match;
+        const from = range === '*' ? min : Number(start);
+        const to = range === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+        const by = step ? Number(step) : 1;
+        if (from < min || to > max || from > to || by < 1) throw new Error(`Invalid cron ${name} "${text}" (${min}-${max})`);
+        for (let v = from; v <= to; v += by) values.add(v);
+    }
+    return values;
+}
+
+// Cron expression → matcher(date) in local time
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error(`Cron expression "${expression}" must have 5 fields`);
+    const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+    const anyDay = parts[2].startsWith('*');
+    const anyWeekday = parts[4].startsWith('*');
+
+    return date => {
+        if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) return false;
+        const dayOk = days.has(date.getDate());
+        const weekdayOk = weekdays.has(date.getDay());
+        if (anyDay || anyWeekday) return dayOk && weekdayOk;
+        return dayOk || weekdayOk;
+    };
+}
+
+// Next minute at or after `from` that `expression` fires on (searches a year ahead)
+function nextCronRun(expression, from = new Date()) {
+    const matches = parseCron(expression);
+    const date = new Date(Math.ceil(from.getTime() / MINUTE_MS) * MINUTE_MS);
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+        if (matches(date)) return date;
+        date.setTime(date.getTime() + MINUTE_MS);
+    }
+    return null;
+}
+
+// `jobs`: [{ name, cron, run() → Promise }]. Checks every minute; a job still
+// running from its previous tick is skipped rather than started twice.
+// Returns { stop() }.
+function startScheduler(jobs, { onError = (job, err) => console.error(`❌ ${job.name}: ${err.message}`) } = {}) {
+    const entries = jobs.map(job => ({ job, matches: parseCron(job.cron), running: false }));
+    let timer = null;
+
+    const tick = () => {
+        const now = new Date();
+        for (const entry of entries) {
+            if (!entry.matches(now)) continue;
+            if (entry.running) {
+                console.log(`⏭️  ${entry.job.name}: previous run still in progress, skipping`);
+                continue;
+            }
+            entry.running = true;
+            Promise.resolve()
+                .then(() => entry.job.run())
+                .catch(err => onError(entry.job, err))
+                .finally(() => { entry.running = false; });
+        }
+        schedule();
+    };
+
+    // Wake just after each minute boundary
+    const schedule = () => {
+        timer = setTimeout(tick, MINUTE_MS - (Date.now() % MINUTE_MS) + 50);
+    };
+    schedule();
+
+    return {
+        stop() {
+            clearTimeout(timer);
+        }
+    };
+}
+
+module.exports = { parseCron, nextCronRun, startScheduler };
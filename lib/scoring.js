@@ -0,0 +1,165 @@
+const { parseFollowerCount } = require('./followers');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📈 LEAD SCORING
+// One 0-100 score for dragnet profiles and omni-search results alike, with a
+// per-factor breakdown so a high score can be explained. Each factor is a
+// 0-1 value; factors without data (e.g. recency for search results) are left
+// out rather than counted as zero, and the remaining weights are rescaled.
+//
+//   LEAD_SCORE_WEIGHTS="keywords:20,followers:25,sources:15,confidence:15,location:15,recency:10"
+// ═══════════════════════════════════════════════════════════════════════════
+
+const FACTORS = ['keywords', 'followers', 'sources', 'confidence', 'location', 'recency'];
+
+const DEFAULT_WEIGHTS = {
+    keywords: 20,
+    followers: 25,
+    sources: 15,
+    confidence: 15,
+    location: 15,
+    recency: 10,
+};
+
+// Community/fitness vocabulary in names and bios (the dragnet's original list)
+const SCORE_KEYWORDS = [
+    'club', 'group', 'community', 'gym', 'fitness', 'studio', 'training', 'arena',
+    'workout', 'health', 'sports', 'exercise', 'fit', 'wellness', 'crossfit',
+    'yoga', 'zumba', 'pilates', 'martial', 'boxing', 'running', 'cycling',
+    'academy', 'association', 'team', 'squad', 'warriors', 'riders', 'walkers',
+    'collective', 'crew', 'movement', 'run', 'marathon', 'triathlon',
+    '💪', '🏋️', '🏃', '🧘', '🥊', '🚴', '🏸', '🎾'
+];
+
+// Saturation points: reaching these earns the factor's full weight
+const KEYWORD_SATURATION = 6;
+const SOURCE_SATURATION = 4;
+// Followers are scored on a log scale between these two counts
+const FOLLOWER_FLOOR = 100;
+const FOLLOWER_CEILING = 20000;
+// Activity within FRESH_DAYS scores 1, decaying to 0 at STALE_DAYS
+const FRESH_DAYS = 30;
+const STALE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "keywords:20,followers:25" or { keywords: 20 } → complete weights object,
+// unspecified factors keeping their `base` weight. Throws on bad input.
+function normalizeWeights(input, base = ENV_WEIGHTS) {
+    if (input === undefined || input === null || input === '') return { ...base };
+    let entries;
+    if (typeof input === 'string') {
+        entries = input.split(',').filter(Boolean).map(pair => pair.split(':').map(s => s.trim()));
+    } else if (typeof input === 'object' && !Array.isArray(input)) {
+        entries = Object.entries(input);
+    } else {
+        throw new Error('score weights must be an object or "factor:weight,..." string');
+    }
+
+    const weights = { ...base };
+    for (const [factor, raw] of entries) {
+        const weight = Number(raw);
+        if (!FACTORS.includes(factor)) throw new Error(`Unknown score factor "${factor}" (expected: ${FACTORS.join(', ')})`);
+        if (!Number.isFinite(weight) || weight < 0) throw new Error(`score weight for "${factor}" must be a non-negative number`);
+        weights[factor] = weight;
+    }
+    return weights;
+}
+
+const ENV_WEIGHTS = normalizeWeights(process.env.LEAD_SCORE_WEIGHTS, DEFAULT_WEIGHTS);
+
+// Words match whole ("fit" isn't in "fitness"), emoji anywhere. Longest
+// keywords are tried first and matches don't overlap, so "running club" is
+// running + club, not also run.
+const KEYWORD_PATTERN = new RegExp([...SCORE_KEYWORDS]
+    .sort((a, b) => b.length - a.length)
+    .map(k => {
+        const escaped = k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return /\p{L}/u.test(k) ? `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])` : escaped;
+    })
+    .join('|'), 'gu');
+
+function keywordFactor(text) {
+    const matches = [...new Set(text.match(KEYWORD_PATTERN) || [])];
+    return { value: Math.min(matches.length / KEYWORD_SATURATION, 1), detail: matches };
+}
+
+function followerFactor(followers) {
+    const count = parseFollowerCount(followers);
+    if (count === null) return { value: null, detail: null };
+    const scaled = (Math.log10(Math.max(count, 1)) - Math.log10(FOLLOWER_FLOOR)) /
+        (Math.log10(FOLLOWER_CEILING) - Math.log10(FOLLOWER_FLOOR));
+    return { value: Math.min(Math.max(scaled, 0), 1), detail: count };
+}
+
+function sourceFactor(sources) {
+    if (!sources) return { value: null, detail: 0 };
+    return { value: Math.min(sources / SOURCE_SATURATION, 1), detail: sources };
+}
+
+function confidenceFactor(confidence) {
+    if (confidence === null || confidence === undefined) return { value: null, detail: null };
+    return { value: Math.min(Math.max(confidence, 0), 1), detail: confidence };
+}
+
+// 1 when a target city/area is mentioned, 0 when the lead states somewhere
+// else, unknown when it says nothing about where it is
+function locationFactor(text, location, targetLocations) {
+    const targets = targetLocations.map(t => String(t).trim().toLowerCase()).filter(t => t && t !== 'unknown');
+    if (targets.length === 0) return { value: null, detail: null };
+    const haystack = `${text} ${String(location || '').toLowerCase()}`;
+    const matched = targets.find(t => haystack.includes(t));
+    if (matched) return { value: 1, detail: matched };
+    return location ? { value: 0, detail: String(location) } : { value: null, detail: null };
+}
+
+function recencyFactor(lastActiveAt, now) {
+    const time = lastActiveAt ? new Date(lastActiveAt).getTime() : NaN;
+    if (Number.isNaN(time)) return { value: null, detail: null };
+    const days = Math.max(0, (now - time) / DAY_MS);
+    const value = days <= FRESH_DAYS ? 1 : Math.max(0, 1 - (days - FRESH_DAYS) / (STALE_DAYS - FRESH_DAYS));
+    return { value, detail: Math.round(days) };
+}
+
+// `lead`: { text: string[], followers, sources, confidence, location, lastActiveAt }
+//   text        — name, handle, bio, reasoning... scanned for keywords and places
+//   followers   — integer or display string ("12.5k")
+//   sources     — number of independent sources that surfaced the lead
+//   confidence  — classifier confidence 0-1, if a classifier saw it
+//   location    — where the lead says it is (address, city), if known
+//   lastActiveAt — latest post/activity date, if known
+// Returns { score, breakdown: { factor: { value, weight, points, detail } } }
+function scoreLead(lead, { weights = ENV_WEIGHTS, targetLocations = [], now = Date.now() } = {}) {
+    const text = (lead.text || []).filter(Boolean).join(' ').toLowerCase();
+    const factors = {
+        keywords: keywordFactor(text),
+        followers: followerFactor(lead.followers),
+        sources: sourceFactor(lead.sources),
+        confidence: confidenceFactor(lead.confidence),
+        location: locationFactor(text, lead.location, targetLocations),
+        recency: recencyFactor(lead.lastActiveAt, now),
+    };
+
+    const availableWeight = FACTORS
+        .filter(f => factors[f].value !== null)
+        .reduce((sum, f) => sum + weights[f], 0);
+
+    const breakdown = {};
+    let score = 0;
+    for (const factor of FACTORS) {
+        const { value, detail } = factors[factor];
+        const points = value === null || availableWeight === 0
+            ? 0
+            : Math.round((100 * weights[factor] * value / availableWeight) * 10) / 10;
+        score += points;
+        breakdown[factor] = {
+            value: value === null ? null : Math.round(value * 100) / 100,
+            weight: weights[factor],
+            points,
+            detail
+        };
+    }
+    return { score: Math.round(score), breakdown };
+}
+
+module.exports = { scoreLead, normalizeWeights, DEFAULT_WEIGHTS, SCORE_KEYWORDS };
@@ -0,0 +1,41 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Apify scraper — runs the Instagram hashtag and profile actors and returns
+// their datasets. apify-client is loaded on first use so replay runs don't
+// need it (or a token).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const HASHTAG_ACTOR = 'apify/instagram-hashtag-scraper';
+const PROFILE_ACTOR = 'apify/instagram-profile-scraper';
+
+function createApifyScraper({ token = process.env.APIFY_TOKEN } = {}) {
+    let client = null;
+    const getClient = () => {
+        if (!client) {
+            if (!token) throw new Error('APIFY_TOKEN is not set');
+            const { ApifyClient } = require('apify-client');
+            client = new ApifyClient({ token });
+        }
+        return client;
+    };
+
+    // A run that finishes FAILED / TIMED-OUT / ABORTED still resolves from
+    // call(); treat it as an error so the caller can retry it
+    async function runActor(actor, input) {
+        const run = await getClient().actor(actor).call(input);
+        if (run.status !== 'SUCCEEDED') throw new Error(`${actor} run ${run.id} ${run.status}`);
+        const { items } = await getClient().dataset(run.defaultDatasetId).listItems();
+        return items;
+    }
+
+    return {
+        name: 'apify',
+        hashtagPosts(hashtag, { limit }) {
+            return runActor(HASHTAG_ACTOR, { hashtags: [hashtag], resultsLimit: limit });
+        },
+        profiles(usernames) {
+            return runActor(PROFILE_ACTOR, { usernames });
+        }
+    };
+}
+
+module.exports = { createApifyScraper };
@@ -0,0 +1,30 @@
+const { createApifyScraper } = require('./apify');
+const { createReplayScraper, withRecording } = require('./replay');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🕷️ SCRAPER SOURCES
+// Where the dragnet gets Instagram data. A source is
+//   { name, hashtagPosts(hashtag, { limit }) → posts[], profiles(usernames) → profiles[] }
+// with posts/profiles shaped like the Apify Instagram actors' dataset items.
+// Default comes from SCRAPER_SOURCE (apify); SCRAPER_RECORD_DIR saves live
+// datasets for the replay source.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SOURCE_FACTORIES = {
+    apify: createApifyScraper,
+    replay: createReplayScraper,
+};
+
+const DEFAULT_SOURCE = process.env.SCRAPER_SOURCE || 'apify';
+
+function resolveScraper(name) {
+    const key = (name || DEFAULT_SOURCE).trim();
+    if (!SOURCE_FACTORIES[key]) {
+        throw new Error(`Unknown scraper source "${key}" (available: ${Object.keys(SOURCE_FACTORIES).join(', ')})`);
+    }
+    const scraper = SOURCE_FACTORIES[key]();
+    if (process.env.SCRAPER_RECORD_DIR && key !== 'replay') return withRecording(scraper, process.env.SCRAPER_RECORD_DIR);
+    return scraper;
+}
+
+module.exports = { resolveScraper };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Replay scraper — serves saved Apify datasets from disk so the dragnet runs
+// offline and without spending credits. A recording is
+//   { kind: 'hashtag', hashtag, items }   — hashtag scraper posts
+//   { kind: 'profiles', items }           — profile scraper profiles
+// (a file may hold one recording or an array). A raw dataset export (a plain
+// array of profiles) also works. Unrecorded hashtags and profiles come back empty.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'apify');
+
+function loadRecordings(dir) {
+    const hashtags = new Map();
+    const profiles = new Map();
+    if (!fs.existsSync(dir)) return { hashtags, profiles };
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const recordings = Array.isArray(data) && data.every(d => !d.kind) ? [{ kind: 'profiles', items: data }] : [].concat(data);
+        for (const rec of recordings) {
+            if (rec.kind === 'hashtag') {
+                const tag = String(rec.hashtag).toLowerCase();
+                hashtags.set(tag, [...(hashtags.get(tag) || []), ...(rec.items || [])]);
+            } else if (rec.kind === 'profiles') {
+                for (const profile of rec.items || []) {
+                    if (profile.username) profiles.set(profile.username, profile);
+                }
+            }
+        }
+    }
+    return { hashtags, profiles };
+}
+
+function createReplayScraper({ dir = process.env.SCRAPER_FIXTURE_DIR || DEFAULT_FIXTURE_DIR } = {}) {
+    const { hashtags, profiles } = loadRecordings(dir);
+    console.log(`   📼 Replay scraper: ${hashtags.size} hashtags, ${profiles.size} profiles from ${dir}`);
+
+    return {
+        name: 'replay',
+        async hashtagPosts(hashtag, { limit }) {
+            return (hashtags.get(hashtag.toLowerCase()) || []).slice(0, limit);
+        },
+        async profiles(usernames) {
+            return usernames.filter(u => profiles.has(u)).map(u => profiles.get(u));
+        }
+    };
+}
+
+// Wraps a live scraper and saves every dataset it returns as a replay recording
+function withRecording(scraper, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const save = (recording, keyParts) => {
+        const file = crypto.createHash('sha1').update(JSON.stringify(keyParts)).digest('hex').slice(0, 16) + '.json';
+        fs.writeFileSync(path.join(dir, file), JSON.stringify({ source: scraper.name, ...recording }, null, 2));
+    };
+    return {
+        ...scraper,
+        async hashtagPosts(hashtag, options) {
+            const items = await scraper.hashtagPosts(hashtag, options);
+            save({ kind: 'hashtag', hashtag, items }, ['hashtag', hashtag]);
+            return items;
+        },
+        async profiles(usernames) {
+            const items = await scraper.profiles(usernames);
+            save({ kind: 'profiles', items }, ['profiles', usernames]);
+            return items;
+        }
+    };
+}
+
+module.exports = { createReplayScraper, withRecording };
@@ -0,0 +1,142 @@
+const storage = require('./storage');
+const { normalizeHandle } = require('./handles');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🕘 SEARCH HISTORY
+// Every omni-search run is kept in `omni_search_runs` with its expansion,
+// meta and results, so past runs can be listed and reloaded, and two runs of
+// the same query compared: which clubs are new, which disappeared and which
+// changed (followers, category, score, verification). Runs of a query are
+// grouped on its normalised text (`query_key`).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const RUN_LIST_COLUMNS = 'id, query, location, intent, result_count, created_at';
+
+// Fields compared between runs, read off a result
+const DIFF_FIELDS = {
+    name: r => r.name || null,
+    follower_count: r => r.follower_count ?? null,
+    category: r => r.category || null,
+    subcategory: r => r.subcategory || null,
+    score: r => r.score ?? null,
+    verification: r => r.verification?.status || null,
+};
+
+// "  Run Clubs   in VIZAG " → "run clubs in vizag"
+function queryKey(query) {
+    return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Upserts the run row persistOmniSearchRun created (or creates it, for runs
+// that found nothing) with the full response
+async function saveRun({ runId, query, expansion, response, createdAt }) {
+    if (!storage) return { enabled: false, saved: false };
+    const { errors } = await storage.upsert('omni_search_runs', [{
+        id: runId,
+        query,
+        query_key: queryKey(query),
+        location: expansion.location,
+        intent: expansion.intent,
+        expanded_queries: expansion.queries,
+        result_count: response.results.length,
+        expansion,
+        meta: response.meta,
+        results: response.results,
+        debug: response.debug || null,
+        created_at: createdAt
+    }], { key: 'id' });
+    if (errors.length > 0) throw new Error(errors[0].message);
+    return { enabled: true, saved: true };
+}
+
+// Newest first; `query` narrows to runs of that query
+async function listRuns({ query, limit = 20 } = {}) {
+    return storage.list('omni_search_runs', {
+        columns: RUN_LIST_COLUMNS,
+        where: query ? { query_key: queryKey(query) } : {},
+        orderBy: 'created_at',
+        ascending: false,
+        limit
+    });
+}
+
+async function getRun(id) {
+    const [run] = await storage.findByKeys('omni_search_runs', 'id', [id]);
+    return run || null;
+}
+
+// The latest run of the same query before `run`, or null
+async function previousRun(run) {
+    const [previous] = await storage.list('omni_search_runs', {
+        columns: 'id',
+        where: { query_key: run.query_key || queryKey(run.query) },
+        before: { column: 'created_at', value: run.created_at },
+        orderBy: 'created_at',
+        ascending: false,
+        limit: 1
+    });
+    return previous ? getRun(previous.id) : null;
+}
+
+// Same key the lead store uses (the handle); name-only web mentions fall back to their name
+function entityKey(result) {
+    const handle = normalizeHandle(result.handle, result.url);
+    return handle ? `@${handle}` : `name:${String(result.name || '').trim().toLowerCase()}`;
+}
+
+function byKey(results) {
+    const map = new Map();
+    for (const result of results || []) {
+        const key = entityKey(result);
+        if (!map.has(key)) map.set(key, result);
+    }
+    return map;
+}
+
+// { field: { from, to } } for every DIFF_FIELDS value that differs
+function fieldChanges(before, after) {
+    const changes = {};
+    for (const [field, read] of Object.entries(DIFF_FIELDS)) {
+        const from = read(before);
+        const to = read(after);
+        if (from !== to) changes[field] = { from, to };
+    }
+    return changes;
+}
+
+function runSummary(run) {
+    return { run_id: run.id, query: run.query, created_at: run.created_at, result_count: (run.results || []).length };
+}
+
+// What changed from `base` (the older run) to `target`:
+// { base, target, summary: { new, disappeared, changed, unchanged }, new: [result],
+//   disappeared: [result], changed: [{ key, handle, name, changes, result }] }
+function diffRuns(base, target) {
+    const before = byKey(base.results);
+    const after = byKey(target.results);
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    for (const [key, result] of after) {
+        if (!before.has(key)) {
+            added.push(result);
+            continue;
+        }
+        const changes = fieldChanges(before.get(key), result);
+        if (Object.keys(changes).length === 0) unchanged++;
+        else changed.push({ key, handle: result.handle || null, name: result.name, changes, result });
+    }
+    const disappeared = [...before].filter(([key]) => !after.has(key)).map(([, result]) => result);
+
+    return {
+        base: runSummary(base),
+        target: runSummary(target),
+        summary: { new: added.length, disappeared: disappeared.length, changed: changed.length, unchanged },
+        new: added,
+        disappeared,
+        changed
+    };
+}
+
+module.exports = { saveRun, listRuns, getRun, previousRun, diffRuns, queryKey };
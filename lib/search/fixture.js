@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Fixture provider — replays recorded CSE responses from disk so the pipeline
+// runs offline. A recording is { query, start, items } (a file may hold one
+// recording or an array of them). Unrecorded pages return no items.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'search');
+
+function recordingKey(query, start) {
+    return `${query.trim().replace(/\s+/g, ' ').toLowerCase()}|${start}`;
+}
+
+function loadRecordings(dir) {
+    const recordings = new Map();
+    if (!fs.existsSync(dir)) return recordings;
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        for (const rec of [].concat(data)) {
+            recordings.set(recordingKey(rec.query, rec.start || 1), rec.items || []);
+        }
+    }
+    return recordings;
+}
+
+function createFixtureProvider({ dir = process.env.SEARCH_FIXTURE_DIR || DEFAULT_FIXTURE_DIR } = {}) {
+    const recordings = loadRecordings(dir);
+    console.log(`   📼 Fixture search provider: ${recordings.size} recorded pages from ${dir}`);
+
+    return {
+        name: 'fixture',
+        // Replays are already local; caching them would only mask fixture edits
+        cacheable: false,
+        async searchPage({ query, start }) {
+            return { items: recordings.get(recordingKey(query, start)) || [] };
+        }
+    };
+}
+
+// Wraps a live provider and writes every page it returns as a fixture recording
+function withRecording(provider, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return {
+        ...provider,
+        async searchPage(params) {
+            const page = await provider.searchPage(params);
+            const key = recordingKey(params.query, params.start);
+            const file = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16) + '.json';
+            const recording = { provider: provider.name, query: params.query, start: params.start, items: page.items };
+            fs.writeFileSync(path.join(dir, file), JSON.stringify(recording, null, 2));
+            return page;
+        }
+    };
+}
+
+module.exports = { createFixtureProvider, withRecording };
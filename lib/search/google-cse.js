@@ -0,0 +1,70 @@
+const { google } = require('googleapis');
+const { createScheduler, withRetry, createDailyQuota, isDailyQuotaError } = require('./rate-limit');
+const { createQuotaUsage } = require('./quota-usage');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Google Custom Search JSON API provider
+// Calls go through a shared scheduler (CSE_CONCURRENCY, CSE_RATE_PER_SECOND,
+// CSE_BURST), retry with backoff on 429/5xx (CSE_MAX_RETRIES) and a daily
+// page budget for the API key (CSE_DAILY_QUOTA), counted in storage when it
+// is on (see lib/search/quota-usage.js).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const customSearch = google.customsearch('v1');
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+function createGoogleCseProvider({
+    apiKey = process.env.GOOGLE_SEARCH_API_KEY,
+    cx = process.env.GOOGLE_SEARCH_CX
+} = {}) {
+    const scheduler = createScheduler({
+        concurrency: envNumber('CSE_CONCURRENCY', 4),
+        perSecond: envNumber('CSE_RATE_PER_SECOND', 1.5),
+        burst: envNumber('CSE_BURST', 4)
+    });
+    const quota = createDailyQuota(envNumber('CSE_DAILY_QUOTA', 10000), { usage: createQuotaUsage('google', apiKey) });
+    // Today's stored usage, before the first page or plan asks for it
+    quota.load();
+    const maxRetries = envNumber('CSE_MAX_RETRIES', 3);
+
+    return {
+        name: 'google',
+        quotaStatus: () => quota.status(),
+        // `stats` is the run's search stats object (see emptySearchStats)
+        async searchPage({ query, start, num, signal, stats }) {
+            if (!(await quota.tryConsume())) {
+                if (stats) stats.pages_skipped_quota++;
+                const err = new Error('Daily CSE quota budget exhausted');
+                err.code = 'QUOTA_EXHAUSTED';
+                throw err;
+            }
+
+            const { value: res, waitedMs } = await scheduler.schedule(() => withRetry(
+                () => customSearch.cse.list({ auth: apiKey, cx, q: query, num, start }, { signal }),
+                {
+                    retries: maxRetries,
+                    signal,
+                    onRetry: (err, attempt, delay) => {
+                        if (stats) stats.retries++;
+                        console.log(`      🔁 CSE retry ${attempt}/${maxRetries} in ${delay}ms (${err.message.slice(0, 60)})`);
+                    }
+                }
+            ).catch(err => {
+                if (isDailyQuotaError(err)) quota.exhaust();
+                throw err;
+            }), signal);
+
+            if (stats) {
+                stats.pages_executed++;
+                if (waitedMs > 0) stats.pages_throttled++;
+            }
+            return { items: res.data.items || [] };
+        }
+    };
+}
+
+module.exports = { createGoogleCseProvider };
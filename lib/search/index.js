@@ -0,0 +1,59 @@
+const { createGoogleCseProvider } = require('./google-cse');
+const { createFixtureProvider, withRecording } = require('./fixture');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔌 SEARCH PROVIDERS
+// A provider is { name, cacheable?, quotaStatus?, searchPage({ query, start, num, signal, stats }) → { items } }
+// where items are CSE-shaped ({ title, link, snippet, pagemap }) and `stats` is
+// the run's emptySearchStats() object for throttling/quota reporting. New engines
+// (Bing, Brave, SerpAPI...) only need to map their results to that shape and
+// register a factory here.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PROVIDER_FACTORIES = {
+    google: createGoogleCseProvider,
+    fixture: createFixtureProvider,
+};
+
+const DEFAULT_PROVIDERS = (process.env.SEARCH_PROVIDERS || 'google')
+    .split(',').map(s => s.trim()).filter(Boolean);
+
+// Providers are stateless, so build each one once and reuse it across requests
+const instances = new Map();
+
+function getProvider(name) {
+    if (!PROVIDER_FACTORIES[name]) {
+        throw new Error(`Unknown search provider "${name}" (available: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+    if (!instances.has(name)) {
+        let provider = PROVIDER_FACTORIES[name]();
+        // SEARCH_RECORD_DIR captures live responses for the fixture provider
+        if (process.env.SEARCH_RECORD_DIR && name !== 'fixture') {
+            provider = withRecording(provider, process.env.SEARCH_RECORD_DIR);
+        }
+        instances.set(name, provider);
+    }
+    return instances.get(name);
+}
+
+// Accepts an array or a comma-separated string; falls back to SEARCH_PROVIDERS
+function resolveProviders(names) {
+    const list = typeof names === 'string' ? names.split(',') : (names || []);
+    const clean = list.map(s => String(s).trim()).filter(Boolean);
+    return [...new Set(clean.length > 0 ? clean : DEFAULT_PROVIDERS)].map(getProvider);
+}
+
+// Per-run counters reported in meta.search
+function emptySearchStats() {
+    return {
+        pages_requested: 0,
+        pages_executed: 0,
+        pages_throttled: 0,
+        pages_skipped_quota: 0,
+        pages_failed: 0,
+        retries: 0,
+        queries_skipped: 0
+    };
+}
+
+module.exports = { resolveProviders, emptySearchStats };
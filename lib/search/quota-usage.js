@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Daily quota usage in storage (`search_quota_usage`), one row per provider,
+// API key and quota day, so the budget in lib/search/rate-limit.js survives
+// restarts and is shared by every process using the key (increments are
+// atomic, see storage.increment). Only a hash of the key is stored. null
+// when storage is off.
+// ═══════════════════════════════════════════════════════════════════════════
+
+function createQuotaUsage(provider, apiKey) {
+    if (!storage || !apiKey) return null;
+    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+    const rowId = day => `${provider}:${keyHash}:${day}`;
+
+    async function load(day) {
+        const [row] = await storage.findByKeys('search_quota_usage', 'id', [rowId(day)]);
+        return row?.used || 0;
+    }
+
+    return {
+        load,
+        // Adds `count` pages to the stored total → the new total
+        add(day, count) {
+            return storage.increment('search_quota_usage', {
+                id: rowId(day),
+                provider,
+                key_hash: keyHash,
+                day,
+                used: count,
+                updated_at: new Date().toISOString()
+            }, { key: 'id', column: 'used' });
+        }
+    };
+}
+
+module.exports = { createQuotaUsage };
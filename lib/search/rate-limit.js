@@ -0,0 +1,189 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🚦 RATE LIMITING, RETRIES & DAILY QUOTA
+// Building blocks for API-backed search providers: a token-bucket scheduler
+// with a concurrency cap, exponential backoff for 429/5xx, and a per-key
+// daily budget so we stop before the provider starts rejecting us.
+// ═══════════════════════════════════════════════════════════════════════════
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// At most `concurrency` tasks in flight, started no faster than `perSecond`
+// (with bursts of up to `burst`). schedule() resolves to { value, waitedMs }.
+function createScheduler({ concurrency = 4, perSecond = 2, burst = 4 } = {}) {
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let active = 0;
+    const queue = [];
+    let timer = null;
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * perSecond);
+        lastRefill = now;
+    }
+
+    function pump() {
+        refill();
+        while (queue.length > 0 && active < concurrency && tokens >= 1) {
+            const task = queue.shift();
+            if (task.signal?.aborted) {
+                task.reject(task.signal.reason);
+                continue;
+            }
+            tokens -= 1;
+            active++;
+            const waitedMs = Date.now() - task.queuedAt;
+            Promise.resolve()
+                .then(task.fn)
+                .then(value => task.resolve({ value, waitedMs }), task.reject)
+                .finally(() => {
+                    active--;
+                    pump();
+                });
+        }
+        // Out of tokens with work waiting: wake up when the next token lands
+        if (queue.length > 0 && active < concurrency && !timer) {
+            const waitMs = Math.max(10, Math.ceil(((1 - tokens) / perSecond) * 1000));
+            timer = setTimeout(() => {
+                timer = null;
+                pump();
+            }, waitMs);
+        }
+    }
+
+    return {
+        schedule(fn, signal) {
+            return new Promise((resolve, reject) => {
+                queue.push({ fn, signal, resolve, reject, queuedAt: Date.now() });
+                pump();
+            });
+        }
+    };
+}
+
+function errorStatus(err) {
+    return err.status || err.response?.status || (typeof err.code === 'number' ? err.code : null);
+}
+
+// Per-minute rate limits and transient server errors are worth retrying
+function isRetryable(err) {
+    const status = errorStatus(err);
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    return /rateLimitExceeded|userRateLimitExceeded|ECONNRESET|ETIMEDOUT/.test(err.message || '');
+}
+
+// The daily quota is gone until it resets — retrying only burns time
+function isDailyQuotaError(err) {
+    return /dailyLimitExceeded|Queries per day/i.test(err.message || '');
+}
+
+// `retryable(err)` decides which failures are worth another attempt
+async function withRetry(fn, { retries = 3, baseDelayMs = 500, signal, retryable = isRetryable, onRetry = () => {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (signal?.aborted || attempt >= retries || !retryable(err) || isDailyQuotaError(err)) throw err;
+            const delay = baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+            onRetry(err, attempt + 1, delay);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+// Google resets CSE quota at midnight Pacific time
+function quotaDay() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+}
+
+// `usage` ({ load(day) → used, add(day, count) → used }) keeps the count in
+// storage, so restarts and other processes on the same key see it; without
+// it the count lives in memory only. Writes are batched: pages consumed while
+// one is in flight go out in the next.
+function createDailyQuota(budget, { usage = null } = {}) {
+    let day = quotaDay();
+    let used = 0;
+    let unsaved = 0;
+    let loading = null;
+    let saving = Promise.resolve();
+
+    function roll() {
+        const today = quotaDay();
+        if (today !== day) {
+            day = today;
+            used = 0;
+            unsaved = 0;
+            loading = null;
+        }
+    }
+
+    // Reads the stored count for the current day (once per day)
+    function load() {
+        roll();
+        if (!usage) return Promise.resolve();
+        if (!loading) {
+            const loadingDay = day;
+            loading = usage.load(loadingDay)
+                .then(stored => {
+                    if (day === loadingDay) used += stored;
+                })
+                .catch(err => console.error(`   ❌ Quota usage for ${loadingDay} not loaded: ${err.message}`));
+        }
+        return loading;
+    }
+
+    function save(count) {
+        unsaved += count;
+        if (!usage) return;
+        saving = saving.then(async () => {
+            if (unsaved === 0) return;
+            const savingDay = day;
+            const batch = unsaved;
+            unsaved = 0;
+            try {
+                const stored = await usage.add(savingDay, batch);
+                // Other processes' pages count against us too
+                if (day === savingDay) used = Math.max(used, stored);
+            } catch (err) {
+                if (day === savingDay) unsaved += batch;
+                console.error(`   ❌ Quota usage for ${savingDay} not saved: ${err.message}`);
+            }
+        });
+    }
+
+    return {
+        load,
+        async tryConsume() {
+            await load();
+            if (used >= budget) return false;
+            used++;
+            save(1);
+            return true;
+        },
+        // Provider told us the quota is gone even though our count disagrees
+        exhaust() {
+            roll();
+            if (used < budget) save(budget - used);
+            used = budget;
+        },
+        status() {
+            roll();
+            return { day, used, budget, remaining: Math.max(0, budget - used) };
+        }
+    };
+}
+
+module.exports = { createScheduler, withRetry, createDailyQuota, isDailyQuotaError, errorStatus };
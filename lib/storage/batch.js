@@ -0,0 +1,29 @@
+// Shared write loop for the stores: `write(rows)` persists one chunk and
+// resolves to an error message or null. Failed chunks are retried one row at a
+// time so every error points at a single row.
+const STORAGE_BATCH_SIZE = parseInt(process.env.STORAGE_BATCH_SIZE, 10) || 500;
+
+async function writeInChunks(rows, write, { batchSize = STORAGE_BATCH_SIZE } = {}) {
+    const written = [];
+    const errors = [];
+    for (let i = 0; i < rows.length; i += batchSize) {
+        const chunk = rows.slice(i, i + batchSize).map((row, j) => ({ row, index: i + j }));
+        const chunkError = await write(chunk.map(c => c.row));
+        if (!chunkError) {
+            written.push(...chunk);
+            continue;
+        }
+        if (chunk.length === 1) {
+            errors.push({ ...chunk[0], message: chunkError });
+            continue;
+        }
+        for (const entry of chunk) {
+            const rowError = await write([entry.row]);
+            if (rowError) errors.push({ ...entry, message: rowError });
+            else written.push(entry);
+        }
+    }
+    return { written, errors };
+}
+
+module.exports = { writeInChunks, STORAGE_BATCH_SIZE };
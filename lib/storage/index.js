@@ -0,0 +1,54 @@
+const path = require('path');
+const supabase = require('../supabase');
+const { createSupabaseStorage } = require('./supabase');
+const { createJsonStorage } = require('./json-file');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗃️ STORAGE
+// Where the dragnet and omni-search persistence write clubs, sources, runs
+// and history. A store is:
+//   {
+//     name,
+//     upsert(table, rows, { key }) → { saved: keyValue[], errors: [{ key, message }] }
+//     insert(table, rows)          → { saved: number, errors: [{ index, message }] }
+//     update(table, rows, { key, where? }) → { saved: keyValue[], errors: [{ key, message }] }
+//                                    (existing rows only, and only those still matching `where`;
+//                                    other keys are neither saved nor errors)
+//     increment(table, row, { key, column }) → the stored row[column] after adding row[column]
+//                                    to it, inserting `row` when its key is new. Atomic: one
+//                                    statement in Supabase (through an increment_<table>(p_row)
+//                                    function, see supabase/migrations), one step in the
+//                                    single-process JSON store.
+//     findByKeys(table, key, values, { columns?, since?: { column, value } }) → rows
+//     list(table, { columns?, where?: { column: value | [values] }, before?: { column, value },
+//                   contains?: { column, value }, orderBy?, ascending?, limit?, offset? }) → rows
+//   `where` arrays match any of their values (null matching a missing value);
+//   `contains` matches rows whose array column holds `value`.
+//   }
+// Writes go in chunks of STORAGE_BATCH_SIZE; a failed chunk is retried row by
+// row so one bad row is reported on its own instead of sinking its neighbours.
+//
+//   STORAGE=supabase|json|off      (default: supabase when SUPABASE_URL/KEY are set, else off)
+//   STORAGE_DIR=.data              (json store: one file per table)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const STORAGE_FACTORIES = {
+    supabase: () => {
+        if (!supabase) throw new Error('STORAGE=supabase needs SUPABASE_URL and SUPABASE_KEY');
+        return createSupabaseStorage(supabase);
+    },
+    json: () => createJsonStorage(path.resolve(process.env.STORAGE_DIR || '.data')),
+};
+
+function createStorage(kind = process.env.STORAGE || (supabase ? 'supabase' : 'off')) {
+    if (kind === 'off') return null;
+    if (!STORAGE_FACTORIES[kind]) {
+        throw new Error(`Unknown storage "${kind}" (available: ${Object.keys(STORAGE_FACTORIES).join(', ')}, off)`);
+    }
+    return STORAGE_FACTORIES[kind]();
+}
+
+// Shared store for this process; null when storage is off
+const storage = createStorage();
+
+module.exports = storage;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { writeInChunks } = require('./batch');
+
+// Local store with no external service: each table is a JSON array in
+// <dir>/<table>.json, loaded on first use and rewritten after each write.
+// Upserts merge into the existing row like Postgres `on conflict do update`,
+// so columns a row leaves out keep their stored values.
+
+// `where` semantics shared with the Supabase store: an array matches any of
+// its values, and null matches a missing value
+function matches(row, column, value) {
+    return [].concat(value).includes(row[column] ?? null);
+}
+
+function createJsonStorage(dir) {
+    // table → promise of its rows; a promise so concurrent first uses share one read
+    const tables = new Map();
+    // table → the last flush queued for it
+    const flushes = new Map();
+
+    const fileFor = table => path.join(dir, `${table}.json`);
+
+    function load(table) {
+        if (!tables.has(table)) {
+            tables.set(table, fs.promises.readFile(fileFor(table), 'utf8')
+                .then(text => JSON.parse(text), err => {
+                    if (err.code === 'ENOENT') return [];
+                    throw err;
+                })
+                .catch(err => {
+                    tables.delete(table);
+                    throw new Error(`${fileFor(table)}: ${err.message}`);
+                }));
+        }
+        return tables.get(table);
+    }
+
+    // Write-then-rename so a crash mid-write never leaves a truncated table.
+    // Flushes of a table run one after another: they share the tmp file, and
+    // each writes the rows as they are when it starts, so the last one queued
+    // leaves every earlier change on disk.
+    function flush(table) {
+        const file = fileFor(table);
+        const write = async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(await tables.get(table), null, 1));
+            await fs.promises.rename(`${file}.tmp`, file);
+        };
+        const next = (flushes.get(table) || Promise.resolve()).catch(() => {}).then(write);
+        flushes.set(table, next);
+        return next;
+    }
+
+    return {
+        name: 'json',
+        async upsert(table, rows, { key }) {
+            const stored = await load(table);
+            const index = new Map(stored.map((row, i) => [row[key], i]));
+            const { written, errors } = await writeInChunks(rows, async chunk => {
+                const missing = chunk.find(row => row[key] === undefined || row[key] === null);
+                if (missing) return `${key} is required`;
+                for (const row of chunk) {
+                    if (index.has(row[key])) {
+                        const i = index.get(row[key]);
+                        stored[i] = { ...stored[i], ...row };
+                    } else {
+                        index.set(row[key], stored.length);
+                        stored.push({ ...row });
+                    }
+                }
+                return null;
+            });
+            if (written.length > 0) await flush(table);
+            return {
+                saved: written.map(w => w.row[key]),
+                errors: errors.map(e => ({ key: e.row[key], message: e.message }))
+            };
+        },
+        async insert(table, rows) {
+            const stored = await load(table);
+            stored.push(...rows.map(row => ({ ...row })));
+            if (rows.length > 0) await flush(table);
+            return { saved: rows.length, errors: [] };
+        },
+        // Matching and writing happen without an await in between, so a
+        // `where` update is a compare-and-set within this process
+        async update(table, rows, { key, where = {} }) {
+            const stored = await load(table);
+            const index = new Map(stored.map((row, i) => [row[key], i]));
+            const saved = [];
+            for (const row of rows) {
+                if (!index.has(row[key])) continue;
+                const i = index.get(row[key]);
+                if (!Object.entries(where).every(([column, value]) => matches(stored[i], column, value))) continue;
+                stored[i] = { ...stored[i], ...row };
+                saved.push(row[key]);
+            }
+            if (saved.length > 0) await flush(table);
+            return { saved, errors: [] };
+        },
+        async increment(table, row, { key, column }) {
+            const stored = await load(table);
+            const existing = stored.find(r => r[key] === row[key]);
+            const value = (existing?.[column] || 0) + row[column];
+            if (existing) Object.assign(existing, row, { [column]: value });
+            else stored.push({ ...row });
+            await flush(table);
+            return value;
+        },
+        async findByKeys(table, key, values, { columns = '*', since } = {}) {
+            const wanted = new Set(values);
+            const picked = columns === '*' ? null : columns.split(',').map(c => c.trim());
+            return (await load(table))
+                .filter(row => wanted.has(row[key]))
+                .filter(row => !since || (row[since.column] && row[since.column] >= since.value))
+                .map(row => picked ? Object.fromEntries(picked.map(c => [c, row[c] ?? null])) : row);
+        },
+        async list(table, { columns = '*', where = {}, before, contains, orderBy, ascending = true, limit, offset = 0 } = {}) {
+            const picked = columns === '*' ? null : columns.split(',').map(c => c.trim());
+            const rows = (await load(table))
+                .filter(row => Object.entries(where).every(([column, value]) => matches(row, column, value)))
+                .filter(row => !before || (row[before.column] && row[before.column] < before.value))
+                .filter(row => !contains || (Array.isArray(row[contains.column]) && row[contains.column].includes(contains.value)));
+            if (orderBy) {
+                // Missing values last, like Postgres `nulls last` on a descending sort
+                rows.sort((a, b) => {
+                    const va = a[orderBy] ?? null;
+                    const vb = b[orderBy] ?? null;
+                    if (va === null || vb === null) return (va === null) - (vb === null);
+                    const order = typeof va === 'number' && typeof vb === 'number' ? va - vb : String(va).localeCompare(String(vb));
+                    return ascending ? order : -order;
+                });
+            }
+            return rows
+                .slice(offset, limit === undefined ? rows.length : offset + limit)
+                .map(row => picked ? Object.fromEntries(picked.map(c => [c, row[c] ?? null])) : row);
+        }
+    };
+}
+
+module.exports = { createJsonStorage };
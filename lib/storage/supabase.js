@@ -0,0 +1,98 @@
+const { writeInChunks } = require('./batch');
+
+// Storage backed by the project's Supabase tables (see supabase/migrations)
+
+// PostgREST puts `in.(...)` filters in the URL, so long key lists go in chunks
+const LOOKUP_CHUNK = 200;
+
+// PostgREST bulk writes need every row to have the same columns, so rows are
+// grouped by column set first (e.g. clubs with and without a follower count)
+function groupByColumns(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const signature = Object.keys(row).sort().join(',');
+        if (!groups.has(signature)) groups.set(signature, []);
+        groups.get(signature).push(row);
+    }
+    return [...groups.values()];
+}
+
+// `column = value`, or for an array "any of these", where null matches null
+function matchAny(query, column, value) {
+    if (!Array.isArray(value)) return value === null ? query.is(column, null) : query.eq(column, value);
+    const values = value.filter(v => v !== null);
+    const clauses = [];
+    if (values.length > 0) clauses.push(`${column}.in.(${values.map(v => JSON.stringify(String(v))).join(',')})`);
+    if (values.length < value.length) clauses.push(`${column}.is.null`);
+    return query.or(clauses.join(','));
+}
+
+function createSupabaseStorage(client) {
+    return {
+        name: 'supabase',
+        async upsert(table, rows, { key }) {
+            const saved = [];
+            const errors = [];
+            for (const group of groupByColumns(rows)) {
+                const result = await writeInChunks(group, async chunk => {
+                    const { error } = await client.from(table).upsert(chunk, { onConflict: key, ignoreDuplicates: false });
+                    return error ? error.message : null;
+                });
+                saved.push(...result.written.map(w => w.row[key]));
+                errors.push(...result.errors.map(e => ({ key: e.row[key], message: e.message })));
+            }
+            return { saved, errors };
+        },
+        async insert(table, rows) {
+            const { written, errors } = await writeInChunks(rows, async chunk => {
+                const { error } = await client.from(table).insert(chunk);
+                return error ? error.message : null;
+            });
+            return { saved: written.length, errors: errors.map(({ index, message }) => ({ index, message })) };
+        },
+        // One request per row: each row may change different columns. `where`
+        // goes into the same statement, so it is a compare-and-set.
+        async update(table, rows, { key, where = {} }) {
+            const saved = [];
+            const errors = [];
+            for (const { [key]: value, ...changes } of rows) {
+                let query = client.from(table).update(changes).eq(key, value);
+                for (const [column, match] of Object.entries(where)) query = matchAny(query, column, match);
+                const { data, error } = await query.select(key);
+                if (error) errors.push({ key: value, message: error.message });
+                else if (data.length > 0) saved.push(value);
+            }
+            return { saved, errors };
+        },
+        // `key` and `column` are fixed by the table's increment function
+        async increment(table, row) {
+            const { data, error } = await client.rpc(`increment_${table}`, { p_row: row });
+            if (error) throw new Error(`${table} increment: ${error.message}`);
+            return data;
+        },
+        async findByKeys(table, key, values, { columns = '*', since } = {}) {
+            const rows = [];
+            for (let i = 0; i < values.length; i += LOOKUP_CHUNK) {
+                let query = client.from(table).select(columns).in(key, values.slice(i, i + LOOKUP_CHUNK));
+                if (since) query = query.gte(since.column, since.value);
+                const { data, error } = await query;
+                if (error) throw new Error(`${table} lookup: ${error.message}`);
+                rows.push(...data);
+            }
+            return rows;
+        },
+        async list(table, { columns = '*', where = {}, before, contains, orderBy, ascending = true, limit, offset = 0 } = {}) {
+            let query = client.from(table).select(columns);
+            for (const [column, value] of Object.entries(where)) query = matchAny(query, column, value);
+            if (before) query = query.lt(before.column, before.value);
+            if (contains) query = query.contains(contains.column, [contains.value]);
+            if (orderBy) query = query.order(orderBy, { ascending, nullsFirst: false });
+            if (limit) query = query.range(offset, offset + limit - 1);
+            const { data, error } = await query;
+            if (error) throw new Error(`${table} list: ${error.message}`);
+            return data;
+        }
+    };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,274 @@
+const { normalizeHandle } = require('./handles');
+const { CATEGORIES, normalizeCategory } = require('./categories');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧩 STRUCTURED OUTPUT
+// Every LLM response goes through here: pull the JSON out of whatever prose or
+// code fences surround it, check it against a declared schema, coerce fields
+// into shape, and give the model one repair re-prompt before giving up.
+//
+// Schema format:
+//   { type: 'object', fields: { key: fieldSpec }, finalize?(obj) }
+//   { type: 'array', items: objectSchema }   — invalid items are dropped, not fatal
+// fieldSpec: { type: 'string'|'number'|'string[]', required?, default?, coerce?(v) }
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EXPANSION_SCHEMA = {
+    type: 'object',
+    fields: {
+        location: { type: 'string', default: 'Unknown' },
+        neighborhoods: { type: 'string[]', default: [] },
+        categories: { type: 'string[]', default: [] },
+        intent: { type: 'string', default: '' },
+        // Lowercase, without '#', deduped
+        hashtags: {
+            type: 'string[]',
+            default: [],
+            coerce: tags => [...new Set(tags.map(t => t.replace(/^#/, '').trim().toLowerCase()).filter(t => /^[\p{L}\p{N}_]+$/u.test(t)))]
+        },
+        queries: {
+            type: 'string[]',
+            required: true,
+            coerce: qs => {
+                const unique = [...new Set(qs.map(q => q.trim()).filter(Boolean))];
+                if (unique.length === 0) throw new Error('queries is empty');
+                return unique;
+            }
+        }
+    }
+};
+
+const ENTITY_SCHEMA = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', default: null },
+        handle: {
+            type: 'string',
+            default: null,
+            coerce: h => {
+                const clean = normalizeHandle(h);
+                return clean ? `@${clean}` : null;
+            }
+        },
+        category: { type: 'string', default: 'Community', coerce: c => normalizeCategory(c) || 'Community' },
+        subcategory: { type: 'string', default: null },
+        followers: { type: 'string', default: null },
+        logo: { type: 'string', default: null },
+        reasoning: { type: 'string', default: '' },
+        // 0-1; models sometimes answer in percent
+        confidence: { type: 'number', default: null, coerce: c => Math.min(Math.max(c > 1 ? c / 100 : c, 0), 1) },
+        url: { type: 'string', default: null },
+        source: { type: 'string', default: undefined }
+    },
+    finalize: entity => {
+        // Recover the handle from the profile URL, and the URL from the handle
+        if (!entity.handle && entity.url) {
+            const fromUrl = normalizeHandle(null, entity.url);
+            if (fromUrl) entity.handle = `@${fromUrl}`;
+        }
+        if (!entity.url && entity.handle) {
+            entity.url = `https://instagram.com/${entity.handle.slice(1)}`;
+        }
+        if (!entity.name && !entity.handle) throw new Error('entity has neither name nor handle');
+        if (!entity.name) entity.name = entity.handle;
+        return entity;
+    }
+};
+
+const ENTITY_LIST_SCHEMA = { type: 'array', items: ENTITY_SCHEMA };
+
+// Web extraction also numbers the input result that mentioned each account;
+// a missing or unreadable number is left for the caller to work out
+const WEB_ENTITY_LIST_SCHEMA = {
+    type: 'array',
+    items: {
+        ...ENTITY_SCHEMA,
+        fields: { ...ENTITY_SCHEMA.fields, result: { type: 'string', default: null, coerce: r => parseInt(r, 10) || null } }
+    }
+};
+
+// Recurring meetups and dated events read from captions (lib/post-signals.js)
+const POST_SIGNAL_SCHEMA = {
+    type: 'object',
+    fields: {
+        kind: {
+            type: 'string',
+            required: true,
+            coerce: k => {
+                const kind = k.toLowerCase();
+                if (kind !== 'schedule' && kind !== 'event') throw new Error(`unknown kind "${k}"`);
+                return kind;
+            }
+        },
+        days: { type: 'string[]', default: [] },
+        // "HH:MM"; anything else is dropped rather than guessed at
+        time: { type: 'string', default: null, coerce: t => (/^([01]?\d|2[0-3]):[0-5]\d$/.test(t) ? t.padStart(5, '0') : null) },
+        date: { type: 'string', default: null, coerce: d => (/^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null) },
+        location: { type: 'string', default: null },
+        title: { type: 'string', default: '' }
+    }
+};
+
+const POST_SIGNAL_LIST_SCHEMA = { type: 'array', items: POST_SIGNAL_SCHEMA };
+
+// ─── JSON extraction ───
+
+// Finds the first balanced {...} or [...] in `text`, skipping brackets inside strings
+function findJsonSpan(text) {
+    const start = text.search(/[[{]/);
+    if (start === -1) return null;
+
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+        else if (ch === '}' || ch === ']') {
+            if (stack.pop() !== ch) return null;
+            if (stack.length === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+function extractJson(raw) {
+    const text = String(raw || '').replace(/```(?:json)?/gi, '').trim();
+    if (!text) throw new Error('empty response');
+
+    try {
+        return JSON.parse(text);
+    } catch (_) {
+        // Fall through to digging the JSON out of surrounding prose
+    }
+
+    const span = findJsonSpan(text);
+    if (!span) throw new Error('no JSON object or array found in response');
+    try {
+        return JSON.parse(span);
+    } catch (_) {
+        // Trailing commas are the most common near-miss from models
+        return JSON.parse(span.replace(/,\s*([}\]])/g, '$1'));
+    }
+}
+
+// ─── Schema checking & coercion ───
+
+function coerceField(value, spec, key) {
+    if (value === undefined || value === null || value === '') {
+        if (spec.required) throw new Error(`missing required field "${key}"`);
+        return spec.default;
+    }
+
+    let out = value;
+    if (spec.type === 'string') {
+        if (typeof out === 'number' || typeof out === 'boolean') out = String(out);
+        if (typeof out !== 'string') throw new Error(`"${key}" should be a string`);
+        out = out.trim();
+    } else if (spec.type === 'number') {
+        out = Number(out);
+        if (!Number.isFinite(out)) throw new Error(`"${key}" should be a number`);
+    } else if (spec.type === 'string[]') {
+        if (typeof out === 'string') out = [out];
+        if (!Array.isArray(out)) throw new Error(`"${key}" should be an array of strings`);
+        out = out.filter(v => typeof v === 'string' || typeof v === 'number').map(String);
+    }
+
+    return spec.coerce ? spec.coerce(out) : out;
+}
+
+function coerceObject(value, schema) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('expected a JSON object');
+    }
+    const out = {};
+    for (const [key, spec] of Object.entries(schema.fields)) {
+        const coerced = coerceField(value[key], spec, key);
+        if (coerced !== undefined) out[key] = coerced;
+    }
+    return schema.finalize ? schema.finalize(out) : out;
+}
+
+// Returns { value, dropped } — `dropped` counts array items that failed the schema
+function applySchema(value, schema) {
+    if (schema.type === 'object') return { value: coerceObject(value, schema), dropped: 0 };
+
+    // Models sometimes wrap the array: { "results": [...] }
+    if (value && !Array.isArray(value) && typeof value === 'object') {
+        const arrays = Object.values(value).filter(Array.isArray);
+        if (arrays.length === 1) value = arrays[0];
+    }
+    if (!Array.isArray(value)) throw new Error('expected a JSON array');
+
+    const items = [];
+    let dropped = 0;
+    for (const item of value) {
+        try {
+            items.push(coerceObject(item, schema.items));
+        } catch (_) {
+            dropped++;
+        }
+    }
+    return { value: items, dropped };
+}
+
+function parseStructured(raw, schema) {
+    return applySchema(extractJson(raw), schema);
+}
+
+// ─── Repair loop ───
+
+function describeSchema(schema) {
+    const describeObject = s => '{ ' + Object.entries(s.fields)
+        .map(([key, spec]) => {
+            const type = spec.type === 'string[]' ? '[string]' : spec.type;
+            const enumHint = key === 'category' ? ` (one of: ${CATEGORIES.join(', ')})` : '';
+            return `"${key}": ${type}${spec.required ? '' : ' or null'}${enumHint}`;
+        })
+        .join(', ') + ' }';
+    return schema.type === 'array' ? `[ ${describeObject(schema.items)}, ... ]` : describeObject(schema);
+}
+
+function buildRepairPrompt(prompt, raw, error, schema) {
+    return `${prompt}
+
+IMPORTANT: Your previous response could not be used (${error}).
+Previous response (truncated):
+${String(raw || '').slice(0, 2000)}
+
+Respond again with ONLY valid JSON — no prose, no code fences — in exactly this shape:
+${describeSchema(schema)}
+`;
+}
+
+// `generate(prompt)` returns the model's raw text. Resolves to
+// { value, dropped, repaired } or throws once the repair attempt also fails.
+async function generateStructured(generate, prompt, schema) {
+    const raw = await generate(prompt);
+    try {
+        return { ...parseStructured(raw, schema), repaired: false };
+    } catch (firstError) {
+        console.log(`      🔧 Unparseable LLM response (${firstError.message}), asking for a repair...`);
+        const retryRaw = await generate(buildRepairPrompt(prompt, raw, firstError.message, schema));
+        try {
+            return { ...parseStructured(retryRaw, schema), repaired: true };
+        } catch (secondError) {
+            throw new Error(`Invalid JSON after repair: ${secondError.message} (first attempt: ${firstError.message})`);
+        }
+    }
+}
+
+module.exports = {
+    EXPANSION_SCHEMA,
+    ENTITY_LIST_SCHEMA,
+    WEB_ENTITY_LIST_SCHEMA,
+    POST_SIGNAL_LIST_SCHEMA,
+    extractJson,
+    parseStructured,
+    generateStructured,
+};
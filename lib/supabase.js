@@ -0,0 +1,9 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Shared Supabase client (the default backend of lib/storage).
+// null when SUPABASE_URL / SUPABASE_KEY are not configured.
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_KEY
+    ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY)
+    : null;
+
+module.exports = supabase;
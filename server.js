@@ -1,23 +1,46 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { google } = require('googleapis');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const path = require('path');
+const { setMaxListeners } = require('events');
+const crypto = require('crypto');
+const jobs = require('./lib/jobs');
+const { persistOmniSearchRun } = require('./lib/leads');
+const history = require('./lib/search-history');
+const curation = require('./lib/curation');
+const storage = require('./lib/storage');
+const { resolveEntities } = require('./lib/entity-resolution');
+const { verifyEntities, VERIFY_MAX_LOOKUPS } = require('./lib/handle-verification');
+const { scoreLead, normalizeWeights } = require('./lib/scoring');
+const { parseFollowerCount, normalizeFollowerRange, inFollowerRange } = require('./lib/followers');
+const { resolveProviders, emptySearchStats } = require('./lib/search');
+const { resolveLLM } = require('./lib/llm');
+const { callStructured } = require('./lib/llm/call');
+const { expandQuery } = require('./lib/expansion');
+const { CATEGORIES, normalizeScope, normalizeCategoryFilter } = require('./lib/categories');
+const { ENTITY_LIST_SCHEMA, WEB_ENTITY_LIST_SCHEMA } = require('./lib/structured');
+const { cached, emptyStats } = require('./lib/cache');
+const { minePages, resolvePageFetcher, FETCH_PAGES, PAGE_MAX_FETCHES } = require('./lib/pages');
+const plans = require('./lib/plan');
+const exporter = require('./lib/export');
+const integrations = require('./lib/integrations');
+const { citySlug } = require('./lib/city-config');
 
 // Initialize App
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Exports post the results they turn into a file, so allow more than the 100kb default
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
 // Configuration
 const PORT = process.env.PORT || 3000;
-const customSearch = google.customsearch('v1');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-const PRIMARY_MODEL = 'gemini-2.0-flash';
-const FALLBACK_MODEL = 'gemini-1.5-flash';
+// Candidates per LLM call in Phase 3
+const IG_BATCH_SIZE = 40;
+const WEB_BATCH_SIZE = 30;
+// Web results carrying fetched page text are far longer than a snippet
+const PAGE_BATCH_SIZE = 5;
 
 // ═══════════════════════════════════════════════════════════════════════════
 // 🏥 HEALTH CHECK
@@ -38,163 +61,56 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// ═══════════════════════════════════════════════════════════════════════════
-// 🤖 GEMINI HELPER — Call with Fallback
-// ═══════════════════════════════════════════════════════════════════════════
-async function callGemini(prompt) {
-    async function tryModel(modelName) {
-        const model = genAI.getGenerativeModel({ model: modelName });
-        const result = await model.generateContent(prompt);
-        return result.response.text();
-    }
-
-    try {
-        return await tryModel(PRIMARY_MODEL);
-    } catch (e1) {
-        console.log(`   ⚠️ Primary model failed (${e1.message}), trying fallback...`);
-        try {
-            return await tryModel(FALLBACK_MODEL);
-        } catch (e2) {
-            throw new Error(`Both models failed. Primary: ${e1.message} | Fallback: ${e2.message}`);
-        }
-    }
-}
-
-// ═══════════════════════════════════════════════════════════════════════════
-// 🧠 PHASE 1: AI QUERY EXPANSION
-// Generates comprehensive search queries across categories, neighborhoods,
-// popular accounts, hashtags, and discovery patterns
-// ═══════════════════════════════════════════════════════════════════════════
-async function expandQuery(userQuery) {
-    console.log(`\n🧠 PHASE 1: Expanding query with AI...`);
-
-    const prompt = `
-You are an expert search query generator. Your job is to generate the MOST COMPREHENSIVE set of Google search queries possible to discover ALL fitness, wellness, sports, and active lifestyle communities/clubs/events in a city.
-
-USER QUERY: "${userQuery}"
-
-CRITICAL: Even if the user mentions only ONE category (e.g., "run clubs"), you MUST STILL generate queries for ALL fitness/wellness/sports categories. The user wants to discover the ENTIRE fitness ecosystem in that city. "Run clubs in Bangalore" means "show me run clubs, cycling groups, yoga studios, CrossFit boxes, pickleball crews, dance fitness, martial arts, wellness communities, fitness brands, coaches, AND everything else in Bangalore." Always treat ANY fitness-related query as a request for the FULL spectrum of active lifestyle communities.
-
-GENERATE QUERIES IN THESE CATEGORIES:
-
-A) DIRECT CATEGORY SEARCHES (10-12 queries):
-   Cover EVERY fitness niche — running, cycling, yoga, CrossFit, calisthenics, swimming, hiking, trekking, martial arts, boxing, dance fitness, Zumba, pickleball, badminton, tennis, football, basketball, ultimate frisbee, bouldering, climbing, skateboarding, surfing, etc.
-   Format: "category CityName" or "category club CityName"
-
-B) NEIGHBORHOOD/AREA SPECIFIC (8-10 queries):
-   Generate queries for the most popular neighborhoods in the city.
-   Format: "run club NeighborhoodName" or "fitness NeighborhoodName CityName"
-
-C) LISTICLE & DIRECTORY DISCOVERY (6-8 queries):
-   These find blog posts and articles that LIST many clubs at once:
-   - "best fitness clubs in CityName"
-   - "top run clubs CityName 2024"
-   - "fitness communities in CityName list"
-   - "workout groups CityName reddit"
-   - "CityName fitness Instagram accounts to follow"
-   - "sports clubs in CityName directory"
-
-D) HASHTAG & SOCIAL DISCOVERY (4-6 queries):
-   - "#CityNamefitness Instagram"
-   - "#CityNamerunners"
-   - "CityName fitness influencer"
-   - "CityName wellness coach"
-
-E) POPULAR & WELL-KNOWN ACCOUNTS (4-6 queries):
-   - "most popular fitness pages CityName Instagram"
-   - "famous run clubs CityName"
-   - "trending fitness CityName"
-
-RULES:
-- Generate 30-40 total queries (MORE IS BETTER for coverage)
-- Each query should be SHORT (2-6 words)
-- Cover as many different sports and activities as possible
-- Mix specific (e.g., "CrossFit Indiranagar") with broad (e.g., "fitness community Bangalore")
-- Include both English and any locally relevant language terms
-
-RESPOND WITH ONLY A JSON OBJECT:
-{
-  "location": "City Name",
-  "neighborhoods": ["Area1", "Area2", ...],
-  "intent": "brief description of user intent",
-  "queries": ["query1", "query2", ...]
-}
-`;
-
-    try {
-        const raw = await callGemini(prompt);
-        const clean = raw.replace(/```json|```/g, '').trim();
-        const parsed = JSON.parse(clean);
-        console.log(`   ✅ AI generated ${parsed.queries.length} search queries`);
-        console.log(`   📍 Location: ${parsed.location}`);
-        console.log(`   🏘️  Neighborhoods: ${(parsed.neighborhoods || []).join(', ')}`);
-        console.log(`   🎯 Intent: ${parsed.intent}`);
-        parsed.queries.forEach((q, i) => console.log(`      ${i + 1}. ${q}`));
-        return parsed;
-    } catch (err) {
-        console.error(`   ❌ Query expansion failed: ${err.message}`);
-        const fallbackQueries = [
-            userQuery,
-            `${userQuery} club`,
-            `${userQuery} community`,
-            `${userQuery} fitness`,
-            `${userQuery} event`,
-            `${userQuery} running`,
-            `${userQuery} yoga`,
-            `${userQuery} sports`,
-            `best fitness clubs ${userQuery}`,
-            `top run clubs ${userQuery}`,
-        ];
-        return {
-            location: 'Unknown',
-            intent: userQuery,
-            queries: fallbackQueries,
-            fallback: true
-        };
-    }
-}
-
 // ═══════════════════════════════════════════════════════════════════════════
 // 🔍 PHASE 2: MULTI-QUERY SEARCH
 // Three strategies: Instagram direct, Web discovery, Listicle mining
+// Pages are fetched from every provider selected for the run (ctx.searchProviders)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function googleSearch(fullQuery, label, pages = 2) {
+async function searchPages(fullQuery, label, pages = 2, ctx = {}) {
     const offsets = Array.from({ length: pages }, (_, i) => 1 + (i * 10));
+    const providers = ctx.searchProviders || resolveProviders();
+    const stats = ctx.searchStats || emptySearchStats();
+    let quotaSkipped = 0;
 
-    const pagePromises = offsets.map(async (start) => {
+    const pagePromises = providers.flatMap(provider => offsets.map(async (start) => {
+        stats.pages_requested++;
         try {
-            const res = await customSearch.cse.list({
-                auth: process.env.GOOGLE_SEARCH_API_KEY,
-                cx: process.env.GOOGLE_SEARCH_CX,
-                q: fullQuery,
-                num: 10,
-                start: start
-            });
-            return (res.data.items || []).map(item => ({
+            const fetchPage = () => provider.searchPage({ query: fullQuery, start, num: 10, signal: ctx.signal, stats });
+            const res = provider.cacheable === false
+                ? await fetchPage()
+                : await cached('search', [provider.name, fullQuery, start, 10], fetchPage, { fresh: ctx.fresh, stats: ctx.cacheStats });
+            return res.items.map(item => ({
                 ...item,
-                searchQuery: label
+                searchQuery: label,
+                searchProvider: provider.name
             }));
         } catch (e) {
-            if (!e.message.includes('429') && !e.message.includes('rateLimitExceeded')) {
-                console.error(`      ⚠️ [${label}] page ${start}: ${e.message}`);
+            if (ctx.signal?.aborted) return [];
+            if (e.code === 'QUOTA_EXHAUSTED') {
+                quotaSkipped++;
+                return [];
             }
+            // Retries are exhausted by now, so report rather than swallow
+            stats.pages_failed++;
+            console.error(`      ⚠️ [${provider.name}] [${label}] page ${start}: ${e.message}`);
             return [];
         }
-    });
+    }));
 
     const results = await Promise.all(pagePromises);
+    if (quotaSkipped === pagePromises.length) stats.queries_skipped++;
     return results.flat();
 }
 
-// Strategy A: Search Instagram directly (3 pages = 30 results per query)
-function searchInstagram(query, label) {
-    return googleSearch(`site:instagram.com ${query}`, `IG: ${label}`, 3);
+// Strategy A: Search Instagram directly (3 pages = 30 results per query by default)
+function searchInstagram(query, label, ctx, pages = plans.DEFAULT_PAGES.instagram) {
+    return searchPages(`site:instagram.com ${query}`, `IG: ${label}`, pages, ctx);
 }
 
 // Strategy B: Search the open web (2 pages = 20 results — finds blogs, directories, listings)
-function searchWeb(query, label) {
-    return googleSearch(`${query} instagram`, `WEB: ${label}`, 2);
+function searchWeb(query, label, ctx, pages = plans.DEFAULT_PAGES.web) {
+    return searchPages(`${query} instagram`, `WEB: ${label}`, pages, ctx);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -202,12 +118,32 @@ function searchWeb(query, label) {
 // Two-stage: classify Instagram profiles + extract handles from web pages
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Categories the classifiers may assign this run (the request's filter, or all)
+function allowedCategories(ctx) {
+    return ctx.categories || CATEGORIES;
+}
+
+// Extra REJECT rules for narrower scopes and category filters; '' for a full
+// ecosystem run so those prompts stay as they were
+function scopeRules(ctx) {
+    const rules = [];
+    if (ctx.scope === 'focused') {
+        rules.push('- REJECT accounts whose main activity is not the one in the USER QUERY (e.g. a yoga studio for a "run clubs" query).');
+    } else if (ctx.scope === 'related') {
+        rules.push('- REJECT accounts unrelated to the USER QUERY activity or its closely adjacent activities.');
+    }
+    if (ctx.categories) {
+        rules.push(`- REJECT anything that is not one of: ${ctx.categories.join(', ')}. Never use another category.`);
+    }
+    return rules.map(r => `${r}\n`).join('');
+}
+
 // Stage A: Classify direct Instagram results
-async function classifyInstagramResults(candidates, userQuery, location) {
-    const BATCH_SIZE = 40;
+// onBatch(info) is called as each batch finishes so callers can stream progress
+async function classifyInstagramResults(candidates, userQuery, location, onBatch = () => {}, ctx) {
     const batches = [];
-    for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
-        batches.push(candidates.slice(i, i + BATCH_SIZE));
+    for (let i = 0; i < candidates.length; i += IG_BATCH_SIZE) {
+        batches.push(candidates.slice(i, i + IG_BATCH_SIZE));
     }
 
     console.log(`   📋 Classifying ${candidates.length} Instagram candidates (${batches.length} batches)...`);
@@ -222,16 +158,17 @@ TARGET LOCATION: "${location}"
 INSTRUCTIONS:
 1. Analyze each result below.
 2. Determine if it is a REAL fitness/wellness/sports entity.
-3. CLASSIFY into: "Run Club", "Fitness Club", "Sports Club", "Yoga/Wellness", "Event", "Hybrid Studio", "Community", "Coach/Trainer", "Brand".
+3. CLASSIFY into: ${allowedCategories(ctx).map(c => `"${c}"`).join(', ')}.
 4. EXTRACT the follower count from 'ogDescription' (e.g., "12.5K Followers" → "12.5k").
 5. Write a SHORT reasoning (3-5 words).
+6. Give a CONFIDENCE from 0 to 1 that this is a real, active local community/club.
 
 CRITICAL RULES:
 - DO NOT judge by name alone! Abstract names like "Daa Scene", "Hyfit", "The Tribe", "Soul Mates" ARE valid if their description hints at fitness/wellness/sports.
 - Look at the BIO/DESCRIPTION/SNIPPET to determine relevance.
 - REJECT only if clearly a personal account with no fitness/community activity.
 - REJECT profiles clearly in a different city (unless city is unspecified).
-- BE VERY INCLUSIVE — when in doubt, INCLUDE the result. It's better to include an extra result than to miss a real club.
+${scopeRules(ctx)}- BE VERY INCLUSIVE — when in doubt, INCLUDE the result. It's better to include an extra result than to miss a real club.
 
 INPUT DATA:
 ${JSON.stringify(batch, null, 2)}
@@ -246,6 +183,7 @@ RESPOND WITH ONLY A JSON ARRAY:
     "followers": "12k",
     "logo": "url_from_input_or_null",
     "reasoning": "Active run club in city",
+    "confidence": 0.9,
     "url": "https://instagram.com/..."
   }
 ]
@@ -253,33 +191,57 @@ RESPOND WITH ONLY A JSON ARRAY:
 If NO results are valid, respond with: []
 `;
 
+        let entities = [];
+        let error = null;
         try {
-            const raw = await callGemini(prompt);
-            const clean = raw.replace(/```json|```/g, '').trim();
-            return JSON.parse(clean);
+            entities = await callStructured(prompt, 'classification', ENTITY_LIST_SCHEMA, ctx);
         } catch (err) {
             console.error(`      ❌ IG Classification batch ${index + 1} failed: ${err.message}`);
-            return [];
+            error = err.message;
         }
+        onBatch({ stage: 'instagram', batch: index + 1, batches: batches.length, candidates: batch.length, entities, error });
+        return entities;
     });
 
     const batchResults = await Promise.all(batchPromises);
     return batchResults.flat();
 }
 
-// Stage B: Extract Instagram handles from web pages (blogs, directories, articles)
-async function extractFromWebResults(candidates, userQuery, location) {
+// Stage B: Extract Instagram handles from web pages (blogs, directories, articles).
+// Candidates mined by lib/pages carry `pageContent` and `pageHandles` and go
+// in smaller batches. Each entity keeps the query and URL of the web result
+// that mentioned it (`sourceQuery`, `sourceUrl`).
+// The web result an extracted entity came from: the one the model numbered,
+// else the only one naming its handle or name, else the batch's only result
+function webOrigin(entity, batch, result) {
+    if (batch[result - 1]) return batch[result - 1];
+    const handle = entity.handle?.slice(1).toLowerCase();
+    const name = entity.name?.toLowerCase();
+    const mentioning = batch.filter(c => {
+        const text = [c.title, c.snippet, c.ogDescription, c.pageContent].join(' ').toLowerCase();
+        return (handle && (text.includes(handle) || (c.pageHandles || []).some(h => h.handle === handle))) || (name && text.includes(name));
+    });
+    if (mentioning.length === 1) return mentioning[0];
+    return batch.length === 1 ? batch[0] : null;
+}
+
+async function extractFromWebResults(candidates, userQuery, location, onBatch = () => {}, ctx) {
     if (candidates.length === 0) return [];
 
-    const BATCH_SIZE = 30;
     const batches = [];
-    for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
-        batches.push(candidates.slice(i, i + BATCH_SIZE));
+    const withPages = candidates.filter(c => c.pageContent);
+    const snippetsOnly = candidates.filter(c => !c.pageContent);
+    for (let i = 0; i < withPages.length; i += PAGE_BATCH_SIZE) {
+        batches.push(withPages.slice(i, i + PAGE_BATCH_SIZE));
+    }
+    for (let i = 0; i < snippetsOnly.length; i += WEB_BATCH_SIZE) {
+        batches.push(snippetsOnly.slice(i, i + WEB_BATCH_SIZE));
     }
 
     console.log(`   🌐 Mining ${candidates.length} web results for Instagram handles (${batches.length} batches)...`);
 
     const batchPromises = batches.map(async (batch, index) => {
+        const numbered = batch.map((candidate, i) => ({ result: i + 1, ...candidate }));
         const prompt = `
 You are an Instagram handle extractor. Your job is to find ALL fitness/wellness/sports Instagram accounts mentioned in web pages.
 
@@ -289,14 +251,17 @@ TARGET LOCATION: "${location}"
 These are web search results (blog posts, directories, articles, listings). They often contain lists of fitness clubs, communities, and events with their Instagram handles.
 
 INSTRUCTIONS:
-1. Read each result's title, snippet, and description.
+1. Read each result's title, snippet, and description — and its pageContent (the page's own text) when present.
 2. Extract EVERY Instagram handle or account name mentioned that relates to fitness/wellness/sports in ${location}.
 3. If a snippet mentions "follow @someclub on Instagram" or lists accounts, extract ALL of them.
-4. If the result is an article like "10 Best Run Clubs in ${location}", try to identify all clubs mentioned.
-5. Even if you can't find the exact handle, provide the club NAME if clearly mentioned.
-
+4. If the result is an article like "10 Best Run Clubs in ${location}", try to identify all clubs mentioned — with pageContent you have the full list, so return every entry.
+5. pageHandles lists the Instagram accounts the page links to or @mentions. Include each one that is a fitness/wellness/sports account in ${location}, naming it from the page.
+6. Even if you can't find the exact handle, provide the club NAME if clearly mentioned.
+7. Give a CONFIDENCE from 0 to 1 that the account is a real club in ${location}.
+8. Set "result" to the number of the result that mentions the account.
+${scopeRules(ctx)}
 INPUT DATA:
-${JSON.stringify(batch, null, 2)}
+${JSON.stringify(numbered, null, 2)}
 
 RESPOND WITH ONLY A JSON ARRAY of accounts found:
 [
@@ -308,22 +273,30 @@ RESPOND WITH ONLY A JSON ARRAY of accounts found:
     "followers": null,
     "logo": null,
     "reasoning": "Mentioned in listicle article",
+    "confidence": 0.6,
     "url": "https://instagram.com/handle_if_known",
-    "source": "extracted from web"
+    "source": "extracted from web",
+    "result": 1
   }
 ]
 
 If no accounts found, respond with: []
 `;
 
+        let entities = [];
+        let error = null;
         try {
-            const raw = await callGemini(prompt);
-            const clean = raw.replace(/```json|```/g, '').trim();
-            return JSON.parse(clean);
+            entities = (await callStructured(prompt, 'extraction', WEB_ENTITY_LIST_SCHEMA, ctx))
+                .map(({ result, ...entity }) => {
+                    const origin = webOrigin(entity, batch, result);
+                    return { ...entity, sourceQuery: origin?.sourceQuery || null, sourceUrl: origin?.link || null };
+                });
         } catch (err) {
             console.error(`      ❌ Web extraction batch ${index + 1} failed: ${err.message}`);
-            return [];
+            error = err.message;
         }
+        onBatch({ stage: 'web', batch: index + 1, batches: batches.length, candidates: batch.length, entities, error });
+        return entities;
     });
 
     const batchResults = await Promise.all(batchPromises);
@@ -331,201 +304,956 @@ If no accounts found, respond with: []
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// 🚀 MAIN API ENDPOINT
+// 🚀 OMNI-SEARCH PIPELINE
+// Shared by the JSON endpoint, the SSE stream and background jobs.
+// `emit(event, data)` receives real progress: expansion, per-query search
+// counts, classification batches and classified entities as soon as each
+// batch lands. Aborting `signal` cancels in-flight CSE and Gemini calls.
+// `request` is { query, providers, llm, fresh, scope, categories, ... } as
+// built by buildSearchRequest(). `fresh` skips cache lookups (results still
+// refresh the cache); `categories` hard-filters results after classification;
+// `fetchPages` downloads web results for the extractor (see lib/pages).
 // ═══════════════════════════════════════════════════════════════════════════
-app.post('/api/omni-search', async (req, res) => {
-    try {
-        const { query } = req.body;
-        if (!query) return res.status(400).json({ error: "Query required" });
 
-        console.log(`\n${'═'.repeat(60)}`);
-        console.log(`🔍 OMNI-SEARCH: "${query}"`);
-        console.log('═'.repeat(60));
+// Providers that cost API quota (the fixture provider is free)
+function apiProviderCount(ctx) {
+    return ctx.searchProviders.filter(p => p.quotaStatus).length;
+}
+
+// Pages per query for this run, honouring request.pages and request.maxPages
+function allocateSearchPages(queries, request, ctx) {
+    return plans.allocatePages(queries, request.pages, request.maxPages, apiProviderCount(ctx));
+}
+
+// Pages the daily quota still allows on every API provider; null without one
+function remainingQuota(ctx) {
+    const remaining = ctx.searchProviders.filter(p => p.quotaStatus).map(p => p.quotaStatus().remaining);
+    return remaining.length > 0 ? Math.min(...remaining) : null;
+}
+
+// Verification lookups for this run: VERIFY_MAX_LOOKUPS, within what the
+// search pages left of request.maxPages and of the daily quota
+function allocateVerifyLookups(allocation, request, ctx) {
+    if (!request.verify) return 0;
+    const lookups = plans.allocateVerifyLookups(allocation, VERIFY_MAX_LOOKUPS, request.maxPages, apiProviderCount(ctx));
+    return Math.min(lookups, remainingQuota(ctx) ?? Infinity);
+}
+
+// Throttling/quota counters plus the remaining daily budget of each provider
+function searchReport(ctx) {
+    const quota = {};
+    for (const provider of ctx.searchProviders) {
+        if (provider.quotaStatus) quota[provider.name] = provider.quotaStatus();
+    }
+    return { ...ctx.searchStats, quota };
+}
 
-        const errors = [];
-        const startTime = Date.now();
+// Drops entities outside the run's category filter (no filter keeps everything)
+function inAllowedCategories(entity, ctx) {
+    return !ctx.categories || ctx.categories.includes(entity.category);
+}
+
+function hasParsingIssues(llmStats) {
+    return Object.values(llmStats).some(s => s.failed > 0 || s.repaired > 0 || s.dropped_items > 0);
+}
 
-        // ─── PHASE 1: AI Query Expansion ───
-        let expansion;
+// Numeric `follower_count` next to the classifier's display string
+function withFollowerCount(result) {
+    return { ...result, follower_count: parseFollowerCount(result.followers) };
+}
+
+// Re-attach high-res logos and bio from the original IG candidates. IG
+// classifications also take the candidate's query and URL as their source;
+// web mentions already carry their own (see extractFromWebResults).
+function attachIgMetadata(result, igItems) {
+    const original = igItems.find(u =>
+        u.link === result.url || u.link.includes(result.handle?.replace('@', ''))
+    );
+    const fromIg = result.strategy === 'IG';
+    return {
+        ...result,
+        logo: result.logo || original?.logoUrl || null,
+        bio: result.bio || original?.ogDescription || null,
+        sourceQuery: result.sourceQuery || (fromIg && original?.sourceQuery) || 'Discovery',
+        sourceUrl: result.sourceUrl || (fromIg && original?.link) || null
+    };
+}
+
+// Scores a resolved result (see lib/scoring.js). Sources count distinct
+// strategy + query pairs, so one listicle naming a club twice counts once.
+function scoreResult(result, expansion, ctx) {
+    const sources = new Set((result.sources || []).map(s => `${s.strategy}|${s.source_query}`)).size;
+    const { score, breakdown } = scoreLead({
+        text: [result.name, result.handle, result.subcategory, result.bio, result.reasoning],
+        followers: result.followers,
+        sources,
+        confidence: result.confidence
+    }, {
+        weights: ctx.scoreWeights,
+        targetLocations: [expansion.location, ...(expansion.neighborhoods || [])]
+    });
+    return { ...result, score, score_breakdown: breakdown };
+}
+
+// Keeps the finished run in search history (lib/search-history.js). A failed
+// save is logged; the search itself still succeeds.
+async function recordRun({ runId, query, expansion, startTime }, response) {
+    try {
+        await history.saveRun({ runId, query, expansion, response, createdAt: new Date(startTime).toISOString() });
+    } catch (e) {
+        console.error(`   ❌ Search history: ${e.message}`);
+    }
+    return response;
+}
+
+async function runOmniSearch(request, emit = () => {}, signal) {
+    const { query } = request;
+    // Per-run context threaded through every search and Gemini call
+    const ctx = {
+        signal,
+        searchProviders: resolveProviders(request.providers),
+        llm: resolveLLM(request.llm),
+        llmStats: {},
+        fresh: !!request.fresh,
+        scope: request.scope,
+        categories: request.categories,
+        scoreWeights: request.scoreWeights,
+        followerRange: request.followerRange,
+        cacheStats: emptyStats(),
+        searchStats: emptySearchStats(),
+        pageFetcher: request.fetchPages ? resolvePageFetcher() : null
+    };
+
+    console.log(`\n${'═'.repeat(60)}`);
+    console.log(`🔍 OMNI-SEARCH: "${query}" (${ctx.scope}${ctx.categories ? `: ${ctx.categories.join(', ')}` : ''})`);
+    console.log('═'.repeat(60));
+
+    const runId = crypto.randomUUID();
+    const errors = [];
+    const startTime = Date.now();
+
+    // ─── PHASE 1: AI Query Expansion (skipped when executing a reviewed plan) ───
+    let expansion;
+    if (request.plan) {
+        console.log(`\n🗺️ PHASE 1: Using supplied plan (${request.plan.queries.length} queries)`);
+        expansion = { ...request.plan, fromPlan: true };
+    } else {
+        emit('phase', { phase: 'expansion', message: 'Expanding query with AI...' });
         try {
-            expansion = await expandQuery(query);
+            expansion = await expandQuery(query, ctx);
         } catch (e) {
             errors.push(`Query Expansion: ${e.message}`);
-            expansion = { location: 'Unknown', intent: query, queries: [query], fallback: true };
+            expansion = { location: 'Unknown', neighborhoods: [], categories: [], intent: query, queries: [query], fallback: true };
         }
+    }
+    signal?.throwIfAborted();
+    emit('expansion', {
+        location: expansion.location,
+        neighborhoods: expansion.neighborhoods || [],
+        categories: expansion.categories || [],
+        intent: expansion.intent,
+        queries: expansion.queries,
+        fallback: !!expansion.fallback,
+        from_plan: !!expansion.fromPlan,
+        scope: ctx.scope,
+        category_filter: ctx.categories
+    });
 
-        // ─── PHASE 2: Multi-Query Search (Instagram + Web) ───
-        const totalQueries = expansion.queries.length;
-        console.log(`\n🔍 PHASE 2: Searching ${totalQueries} queries (IG + Web)...`);
+    // ─── PHASE 2: Multi-Query Search (Instagram + Web) ───
+    const allocation = allocateSearchPages(expansion.queries, request, ctx);
+    const scheduled = allocation.filter(a => a.instagram + a.web > 0);
+    const totalQueries = scheduled.length;
+    console.log(`\n🔍 PHASE 2: Searching ${totalQueries} queries (IG + Web)...`);
+    if (scheduled.length < allocation.length) {
+        console.log(`   ✂️ Page budget leaves ${allocation.length - scheduled.length} queries unsearched`);
+    }
+    emit('phase', { phase: 'search', message: `Searching ${totalQueries} queries (IG + Web)...` });
+
+    const totalSearches = scheduled.reduce((n, a) => n + (a.instagram > 0) + (a.web > 0), 0);
+    let completedSearches = 0;
+    const reportSearch = (strategy, q, items) => {
+        completedSearches++;
+        emit('search', {
+            strategy,
+            query: q,
+            results: items.length,
+            completed: completedSearches,
+            total: totalSearches
+        });
+        return items;
+    };
 
-        const igPromises = [];
-        const webPromises = [];
+    const igPromises = [];
+    const webPromises = [];
 
-        // ALL queries search Instagram (3 pages each)
-        expansion.queries.forEach((q) => {
-            console.log(`   📡 IG: ${q}`);
-            igPromises.push(
-                searchInstagram(q, q).catch(e => {
+    // Every scheduled query searches Instagram (3 pages each unless budgeted)
+    allocation.filter(a => a.instagram > 0).forEach(({ query: q, instagram }) => {
+        console.log(`   📡 IG: ${q}`);
+        igPromises.push(
+            searchInstagram(q, q, ctx, instagram)
+                .catch(e => {
                     errors.push(`IG [${q}]: ${e.message}`);
                     return [];
                 })
-            );
-        });
+                .then(items => reportSearch('IG', q, items))
+        );
+    });
 
-        // ALL queries ALSO search the web (2 pages each)
-        expansion.queries.forEach((q) => {
-            console.log(`   🌐 WEB: ${q}`);
-            webPromises.push(
-                searchWeb(q, q).catch(e => {
+    // ...and the web (2 pages each unless budgeted)
+    allocation.filter(a => a.web > 0).forEach(({ query: q, web }) => {
+        console.log(`   🌐 WEB: ${q}`);
+        webPromises.push(
+            searchWeb(q, q, ctx, web)
+                .catch(e => {
                     errors.push(`WEB [${q}]: ${e.message}`);
                     return [];
                 })
-            );
-        });
+                .then(items => reportSearch('WEB', q, items))
+        );
+    });
 
-        // Execute all searches in parallel
-        const [igResults, webResults] = await Promise.all([
-            Promise.all(igPromises),
-            Promise.all(webPromises)
-        ]);
-
-        // Separate Instagram vs Web results for different classification
-        const allIgItems = igResults.flat();
-        const allWebItems = webResults.flat();
-
-        // Deduplicate Instagram results
-        const seenUrls = new Set();
-        const uniqueIgItems = [];
-        for (const item of allIgItems) {
-            if (!seenUrls.has(item.link)) {
-                seenUrls.add(item.link);
-                const metatags = item.pagemap?.metatags?.[0] || {};
-                const cseImage = item.pagemap?.cse_image?.[0]?.src || null;
-                uniqueIgItems.push({
-                    title: item.title,
-                    link: item.link,
-                    snippet: item.snippet,
-                    ogDescription: metatags['og:description'] || '',
-                    logoUrl: metatags['og:image'] || cseImage,
-                    sourceQuery: item.searchQuery
-                });
-            }
-        }
+    // Execute all searches in parallel
+    const [igResults, webResults] = await Promise.all([
+        Promise.all(igPromises),
+        Promise.all(webPromises)
+    ]);
+    signal?.throwIfAborted();
 
-        // Deduplicate Web results (exclude Instagram URLs already captured)
-        const uniqueWebItems = [];
-        for (const item of allWebItems) {
-            if (!seenUrls.has(item.link)) {
-                seenUrls.add(item.link);
-                const metatags = item.pagemap?.metatags?.[0] || {};
-                uniqueWebItems.push({
-                    title: item.title,
-                    link: item.link,
-                    snippet: item.snippet,
-                    ogDescription: metatags['og:description'] || '',
-                    sourceQuery: item.searchQuery
-                });
-            }
+    const { pages_skipped_quota, pages_failed } = ctx.searchStats;
+    if (pages_skipped_quota > 0) {
+        errors.push(`Daily CSE quota budget exhausted — ${pages_skipped_quota} pages skipped`);
+    }
+    if (pages_failed > 0) errors.push(`${pages_failed} search pages failed after retries`);
+
+    // Separate Instagram vs Web results for different classification
+    const allIgItems = igResults.flat();
+    const allWebItems = webResults.flat();
+
+    // Deduplicate Instagram results
+    const seenUrls = new Set();
+    const uniqueIgItems = [];
+    for (const item of allIgItems) {
+        if (!seenUrls.has(item.link)) {
+            seenUrls.add(item.link);
+            const metatags = item.pagemap?.metatags?.[0] || {};
+            const cseImage = item.pagemap?.cse_image?.[0]?.src || null;
+            uniqueIgItems.push({
+                title: item.title,
+                link: item.link,
+                snippet: item.snippet,
+                ogDescription: metatags['og:description'] || '',
+                logoUrl: metatags['og:image'] || cseImage,
+                sourceQuery: item.searchQuery
+            });
         }
+    }
 
-        const totalCandidates = uniqueIgItems.length + uniqueWebItems.length;
-        console.log(`   ✅ ${allIgItems.length} IG raw → ${uniqueIgItems.length} unique IG profiles`);
-        console.log(`   ✅ ${allWebItems.length} Web raw → ${uniqueWebItems.length} unique web pages`);
-        console.log(`   📊 Total unique candidates: ${totalCandidates}`);
-        console.log(`   ⏱️ Search time: ${Date.now() - startTime}ms`);
-
-        if (totalCandidates === 0) {
-            return res.json({
-                results: [],
-                meta: {
-                    query,
-                    candidates_scanned: 0,
-                    queries_used: expansion.queries.length,
-                    location: expansion.location,
-                    intent: expansion.intent,
-                    expanded_queries: expansion.queries
-                },
-                debug: {
-                    message: 'Google Custom Search returned 0 results across all queries.',
-                    errors: errors.length > 0 ? errors : ['All queries returned empty — check API key, CX, or quota.'],
-                    env_check: {
-                        GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
-                        GOOGLE_SEARCH_API_KEY: !!process.env.GOOGLE_SEARCH_API_KEY,
-                        GOOGLE_SEARCH_CX: !!process.env.GOOGLE_SEARCH_CX
-                    }
-                }
+    // Deduplicate Web results (exclude Instagram URLs already captured)
+    const uniqueWebItems = [];
+    for (const item of allWebItems) {
+        if (!seenUrls.has(item.link)) {
+            seenUrls.add(item.link);
+            const metatags = item.pagemap?.metatags?.[0] || {};
+            uniqueWebItems.push({
+                title: item.title,
+                link: item.link,
+                snippet: item.snippet,
+                ogDescription: metatags['og:description'] || '',
+                sourceQuery: item.searchQuery
             });
         }
+    }
 
-        // ─── PHASE 3: AI Classification (two-stage) ───
-        console.log(`\n🎯 PHASE 3: AI Classification...`);
-
-        // Run both classification stages in parallel
-        const [igClassified, webExtracted] = await Promise.all([
-            classifyInstagramResults(uniqueIgItems, query, expansion.location),
-            extractFromWebResults(uniqueWebItems, query, expansion.location)
-        ]);
-
-        console.log(`   ✅ IG classified: ${igClassified.length} entities`);
-        console.log(`   ✅ Web extracted: ${webExtracted.length} entities`);
-
-        // Merge and deduplicate results from both sources
-        const mergedResults = [...igClassified];
-        const seenHandles = new Set(igClassified.map(r => r.handle?.toLowerCase()).filter(Boolean));
-
-        for (const webResult of webExtracted) {
-            const handle = webResult.handle?.toLowerCase();
-            if (handle && !seenHandles.has(handle)) {
-                seenHandles.add(handle);
-                mergedResults.push(webResult);
-            } else if (!handle && webResult.name) {
-                // Include named results without handles (they have the club name at least)
-                const nameKey = webResult.name.toLowerCase();
-                if (!mergedResults.some(r => r.name.toLowerCase() === nameKey)) {
-                    mergedResults.push(webResult);
-                }
+    const totalCandidates = uniqueIgItems.length + uniqueWebItems.length;
+    console.log(`   ✅ ${allIgItems.length} IG raw → ${uniqueIgItems.length} unique IG profiles`);
+    console.log(`   ✅ ${allWebItems.length} Web raw → ${uniqueWebItems.length} unique web pages`);
+    console.log(`   📊 Total unique candidates: ${totalCandidates}`);
+    console.log(`   ⏱️ Search time: ${Date.now() - startTime}ms`);
+
+    // ─── PHASE 2b: Fetch and mine web pages (optional) ───
+    let webCandidates = uniqueWebItems;
+    let pages = { enabled: false };
+    if (request.fetchPages && uniqueWebItems.length > 0) {
+        console.log(`\n📄 PHASE 2b: Fetching web pages (up to ${PAGE_MAX_FETCHES})...`);
+        emit('phase', { phase: 'pages', message: `Fetching up to ${PAGE_MAX_FETCHES} web pages...` });
+        const mined = await minePages(uniqueWebItems, ctx, {
+            onPage: page => {
+                if (page.error) console.log(`   ${page.status === 'blocked' ? '🚫' : '⚠️'} ${page.url}: ${page.error}`);
+                emit('page', page);
             }
-        }
-
-        // Re-attach high-res logos for IG results
-        const finalResults = mergedResults.map(r => {
-            const original = uniqueIgItems.find(u =>
-                u.link === r.url || u.link.includes(r.handle?.replace('@', ''))
-            );
-            return {
-                ...r,
-                logo: r.logo || original?.logoUrl || null,
-                sourceQuery: r.sourceQuery || original?.sourceQuery || 'Discovery'
-            };
         });
+        signal?.throwIfAborted();
+        webCandidates = mined.items;
+        pages = { enabled: true, ...mined.stats };
+        console.log(`   ✅ ${pages.fetched}/${pages.requested} pages fetched | 🔖 ${pages.handles_found} Instagram handles | 🚫 ${pages.blocked} blocked by robots.txt | ❌ ${pages.failed} failed`);
+    }
 
-        const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-        console.log(`\n✨ COMPLETE: ${finalResults.length} total entities found in ${totalTime}s`);
-
-        res.json({
+    if (totalCandidates === 0) {
+        return recordRun({ runId, query, expansion, startTime }, {
+            results: [],
             meta: {
+                run_id: runId,
                 query,
-                candidates_scanned: totalCandidates,
-                ig_candidates: uniqueIgItems.length,
-                web_candidates: uniqueWebItems.length,
-                queries_used: expansion.queries.length,
+                candidates_scanned: 0,
+                queries_used: totalQueries,
+                queries_unsearched: allocation.length - totalQueries,
                 location: expansion.location,
                 intent: expansion.intent,
                 expanded_queries: expansion.queries,
-                time_seconds: parseFloat(totalTime)
+                scope: ctx.scope,
+                category_filter: ctx.categories,
+                follower_range: ctx.followerRange,
+                cache: { ...ctx.cacheStats, fresh: ctx.fresh },
+                search: searchReport(ctx)
             },
-            results: finalResults,
-            debug: errors.length > 0 ? { errors } : undefined
+            debug: {
+                message: 'Google Custom Search returned 0 results across all queries.',
+                errors: errors.length > 0 ? errors : ['All queries returned empty — check API key, CX, or quota.'],
+                llm_parsing: ctx.llmStats,
+                env_check: {
+                    GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
+                    GOOGLE_SEARCH_API_KEY: !!process.env.GOOGLE_SEARCH_API_KEY,
+                    GOOGLE_SEARCH_CX: !!process.env.GOOGLE_SEARCH_CX
+                }
+            }
         });
+    }
+
+    // ─── PHASE 3: AI Classification (two-stage) ───
+    console.log(`\n🎯 PHASE 3: AI Classification...`);
+    emit('phase', {
+        phase: 'classification',
+        message: `Classifying ${uniqueIgItems.length} IG profiles and mining ${uniqueWebItems.length} web pages...`,
+        ig_candidates: uniqueIgItems.length,
+        web_candidates: uniqueWebItems.length
+    });
 
+    // Out-of-filter entities never reach the stream, the results or the lead store.
+    // The follower range is applied again after resolution, which can fill in
+    // a web mention's followers from the club's IG profile.
+    let filteredOut = 0;
+    const onBatch = ({ entities: classified, ...info }) => {
+        if (info.error) errors.push(`${info.stage} batch ${info.batch}/${info.batches}: ${info.error}`);
+        const entities = classified.filter(r => inAllowedCategories(r, ctx));
+        filteredOut += classified.length - entities.length;
+        emit('classification', { ...info, entities: entities.length, filtered_out: classified.length - entities.length });
+        const visible = entities
+            .map(r => withFollowerCount(attachIgMetadata(
+                { ...r, strategy: info.stage === 'instagram' ? 'IG' : 'WEB' },
+                uniqueIgItems
+            )))
+            .filter(r => inFollowerRange(r.follower_count, ctx.followerRange));
+        if (visible.length > 0) emit('entities', { stage: info.stage, entities: visible });
+    };
+
+    // Run both classification stages in parallel, tagging which strategy found each entity
+    const [igClassified, webExtracted] = (await Promise.all([
+        classifyInstagramResults(uniqueIgItems, query, expansion.location, onBatch, ctx),
+        extractFromWebResults(webCandidates, query, expansion.location, onBatch, ctx)
+    ])).map((entities, i) => entities
+        .filter(r => inAllowedCategories(r, ctx))
+        .map(r => ({ ...r, strategy: i === 0 ? 'IG' : 'WEB' })));
+    signal?.throwIfAborted();
+
+    console.log(`   ✅ IG classified: ${igClassified.length} entities`);
+    console.log(`   ✅ Web extracted: ${webExtracted.length} entities`);
+    if (filteredOut > 0) console.log(`   🚫 ${filteredOut} entities outside ${ctx.categories.join(', ')} filtered out`);
+
+    // Resolve IG classifications and web mentions into one record per club,
+    // keeping every source that mentioned it (see lib/entity-resolution.js)
+    const classified = [...igClassified, ...webExtracted].map(r => attachIgMetadata(r, uniqueIgItems));
+    const resolved = resolveEntities(classified).map(withFollowerCount);
+    console.log(`   🧬 Resolved ${classified.length} mentions → ${resolved.length} unique entities`);
+
+    // Before verification, so out-of-range clubs don't spend lookups
+    const inRange = resolved.filter(r => inFollowerRange(r.follower_count, ctx.followerRange));
+    const filteredByFollowers = resolved.length - inRange.length;
+    if (filteredByFollowers > 0) console.log(`   🚫 ${filteredByFollowers} entities outside the follower range filtered out`);
+
+    // ─── PHASE 4: Handle verification (targeted IG lookups for unconfirmed handles) ───
+    console.log(`\n🔎 PHASE 4: Verifying handles...`);
+    emit('phase', { phase: 'verification', message: `Verifying ${inRange.length} handles...` });
+    const verification = await verifyEntities(inRange, {
+        knownItems: uniqueIgItems,
+        lookup: q => searchInstagram(q, `verify ${q}`, ctx, 1),
+        location: expansion.location,
+        maxLookups: allocateVerifyLookups(allocation, request, ctx),
+        onProgress: progress => emit('verification', progress)
+    });
+    signal?.throwIfAborted();
+    // Highest-scoring leads first
+    const finalResults = verification.results
+        .map(r => scoreResult(withFollowerCount(r), expansion, ctx))
+        .sort((a, b) => b.score - a.score);
+    const { verified, inferred, unresolved, lookups } = verification.stats;
+    console.log(`   ✅ ${verified} verified | 🤔 ${inferred} inferred | ❓ ${unresolved} unresolved (${lookups} lookups)`);
+
+    const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`\n✨ COMPLETE: ${finalResults.length} total entities found in ${totalTime}s`);
+
+    // ─── Persist into the shared `clubs` lead store ───
+    let persistence;
+    try {
+        persistence = await persistOmniSearchRun({ runId, query, expansion, results: finalResults });
+    } catch (e) {
+        errors.push(`Persistence: ${e.message}`);
+        persistence = { enabled: true, saved: 0, skipped: finalResults.length, errors: [e.message] };
+    }
+
+    // Status, notes, tags and owner the team has already recorded for these clubs
+    let curatedResults = finalResults;
+    try {
+        curatedResults = await curation.attachCuration(finalResults);
+    } catch (e) {
+        errors.push(`Curation lookup: ${e.message}`);
+    }
+
+    return recordRun({ runId, query, expansion, startTime }, {
+        meta: {
+            run_id: runId,
+            query,
+            candidates_scanned: totalCandidates,
+            ig_candidates: uniqueIgItems.length,
+            web_candidates: uniqueWebItems.length,
+            queries_used: totalQueries,
+            queries_unsearched: allocation.length - totalQueries,
+            location: expansion.location,
+            intent: expansion.intent,
+            expanded_queries: expansion.queries,
+            scope: ctx.scope,
+            category_filter: ctx.categories,
+            follower_range: ctx.followerRange,
+            filtered_out_by_category: filteredOut,
+            filtered_out_by_followers: filteredByFollowers,
+            entities_merged: classified.length - filteredByFollowers - finalResults.length,
+            verification: verification.stats,
+            time_seconds: parseFloat(totalTime),
+            persistence,
+            pages,
+            cache: { ...ctx.cacheStats, fresh: ctx.fresh },
+            search: searchReport(ctx)
+        },
+        results: curatedResults,
+        debug: errors.length > 0 || hasParsingIssues(ctx.llmStats)
+            ? { errors, llm_parsing: ctx.llmStats }
+            : undefined
+    });
+}
+
+// Normalises the JSON body (POST) or query string (GET) into a pipeline request.
+// Returns { error } for invalid input so routes can answer 400.
+// `plan` (object, or JSON string on GET) skips expansion; `pages` sets
+// { instagram, web } pages per query and `max_pages` caps the run's CSE pages.
+// `scope` is focused|related|ecosystem (default ecosystem); `categories`
+// (array or comma string) restricts which categories may be returned.
+// `verify: false` skips the paid handle-verification lookups; `score_weights`
+// ({ factor: weight } or "factor:weight,...") overrides LEAD_SCORE_WEIGHTS.
+// `min_followers` / `max_followers` (500, "12.5k") drop results outside the
+// range, including those whose follower count is unknown. `fetch_pages`
+// (default FETCH_PAGES=on) downloads web results so the extractor reads the
+// whole page rather than its snippet.
+function buildSearchRequest(input = {}) {
+    if (!input.query) return { error: "Query required" };
+    try {
+        resolveProviders(input.providers);
+        resolveLLM(input.llm);
+        const fresh = input.fresh === true || ['1', 'true'].includes(String(input.fresh));
+        const verify = !(input.verify === false || ['0', 'false'].includes(String(input.verify)));
+        const fetchPages = input.fetch_pages === undefined
+            ? FETCH_PAGES
+            : input.fetch_pages === true || ['1', 'true'].includes(String(input.fetch_pages));
+        const pages = typeof input.pages === 'string' ? JSON.parse(input.pages) : input.pages;
+        return {
+            request: {
+                query: input.query,
+                providers: input.providers,
+                llm: input.llm,
+                fresh,
+                verify,
+                fetchPages,
+                scope: normalizeScope(input.scope),
+                categories: normalizeCategoryFilter(input.categories),
+                scoreWeights: input.score_weights ? normalizeWeights(input.score_weights) : undefined,
+                followerRange: normalizeFollowerRange(input.min_followers, input.max_followers),
+                plan: input.plan ? plans.normalizePlan(input.plan, input.query) : null,
+                pages: plans.normalizePages(pages),
+                maxPages: plans.normalizeMaxPages(input.max_pages)
+            }
+        };
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🚀 MAIN API ENDPOINT
+// Body: { query, providers?, llm?, fresh?, verify?, fetch_pages?, scope?, categories?,
+// min_followers?, max_followers?, score_weights? } — e.g. providers
+// ["google", "fixture"], llm "mock", scope "focused", categories ["Run Club", "Coach/Trainer"]
+// ?fresh=1 bypasses the response cache
+// ═══════════════════════════════════════════════════════════════════════════
+app.post('/api/omni-search', async (req, res) => {
+    try {
+        const { request, error } = buildSearchRequest({ ...req.body, fresh: req.query.fresh ?? req.body?.fresh });
+        if (error) return res.status(400).json({ error });
+
+        res.json(await runOmniSearch(request));
     } catch (error) {
         console.error("   ❌ Critical Error:", error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// 📺 STREAMING ENDPOINT (Server-Sent Events)
+// GET so the browser's EventSource can consume it. Events: phase, expansion,
+// search, page, classification, entities, verification, complete, failed.
+// Query string: ?query=...&providers=google,fixture&llm=mock&fresh=1&scope=focused&categories=Run%20Club
+// ═══════════════════════════════════════════════════════════════════════════
+app.get('/api/omni-search/stream', async (req, res) => {
+    const { request, error } = buildSearchRequest(req.query);
+    if (error) return res.status(400).json({ error });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Nobody is listening once the client goes away, so stop spending quota
+    let closed = false;
+    const controller = new AbortController();
+    setMaxListeners(0, controller.signal);
+    req.on('close', () => {
+        closed = true;
+        controller.abort();
+    });
+
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Comment lines keep proxies (Render, nginx) from timing out idle streams
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': ping\n\n');
+    }, 15000);
+
+    try {
+        send('complete', await runOmniSearch(request, send, controller.signal));
+    } catch (error) {
+        if (!closed) console.error("   ❌ Critical Error:", error);
+        send('failed', { error: error.message });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗺️ PLAN ENDPOINT
+// Step one of the two-step mode: returns the expansion as an editable plan
+// plus its estimated CSE/LLM cost. Send the edited plan back here (with
+// `plan`) to re-estimate without another LLM call, then execute it through
+// /api/omni-search, /stream or /jobs with the same `plan`, `pages` and `max_pages`.
+// ═══════════════════════════════════════════════════════════════════════════
+app.post('/api/omni-search/plan', async (req, res) => {
+    try {
+        const { request, error } = buildSearchRequest({ ...req.body, fresh: req.query.fresh ?? req.body?.fresh });
+        if (error) return res.status(400).json({ error });
+
+        const ctx = {
+            searchProviders: resolveProviders(request.providers),
+            llm: resolveLLM(request.llm),
+            llmStats: {},
+            fresh: request.fresh,
+            scope: request.scope,
+            categories: request.categories,
+            cacheStats: emptyStats()
+        };
+
+        const plan = request.plan || await expandQuery(request.query, ctx);
+        const allocation = allocateSearchPages(plan.queries, request, ctx);
+
+        const estimate = plans.estimatePlan(allocation, {
+            apiProviders: apiProviderCount(ctx),
+            igBatchSize: IG_BATCH_SIZE,
+            webBatchSize: WEB_BATCH_SIZE,
+            pageFetches: request.fetchPages ? PAGE_MAX_FETCHES : 0,
+            pageBatchSize: PAGE_BATCH_SIZE,
+            verifyLookups: plans.allocateVerifyLookups(allocation, request.verify ? VERIFY_MAX_LOOKUPS : 0, request.maxPages, apiProviderCount(ctx)),
+            remainingQuota: remainingQuota(ctx)
+        });
+
+        res.json({
+            plan: {
+                query: request.query,
+                location: plan.location,
+                neighborhoods: plan.neighborhoods || [],
+                categories: plan.categories || [],
+                intent: plan.intent,
+                queries: plan.queries,
+                fallback: !!plan.fallback
+            },
+            scope: request.scope,
+            categories: request.categories,
+            pages: request.pages,
+            max_pages: request.maxPages,
+            allocation,
+            estimate
+        });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗂️ BACKGROUND JOBS
+// Start a search, poll it for phase/progress/partial results, cancel it.
+// Jobs keep running if the client disconnects.
+// ═══════════════════════════════════════════════════════════════════════════
+app.post('/api/omni-search/jobs', (req, res) => {
+    const { request, error } = buildSearchRequest({ ...req.body, fresh: req.query.fresh ?? req.body?.fresh });
+    if (error) return res.status(400).json({ error });
+
+    const job = jobs.createJob(request, runOmniSearch);
+    res.status(202)
+        .location(`/api/omni-search/jobs/${job.id}`)
+        .json(jobs.serializeJob(job));
+});
+
+app.get('/api/omni-search/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(jobs.serializeJob(job));
+});
+
+app.delete('/api/omni-search/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    if (job.status !== 'running') {
+        return res.status(409).json({ error: `Job already ${job.status}`, job: jobs.serializeJob(job) });
+    }
+    res.json(jobs.serializeJob(jobs.cancelJob(job.id)));
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🕘 SEARCH HISTORY
+// Past runs as stored by lib/search-history.js. GET /runs?query=&limit= lists
+// them newest first; /runs/:id returns a run as the search responded (meta,
+// results, debug); /runs/:id/diff compares it with ?against=<run id>, or
+// with the previous run of the same query.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 503 for routes that only work with a lead store (see lib/storage)
+function requireStorage(feature) {
+    return (req, res, next) => {
+        if (!storage) return res.status(503).json({ error: `${feature} needs storage: set SUPABASE_URL/SUPABASE_KEY or STORAGE=json` });
+        next();
+    };
+}
+
+const requireHistory = requireStorage('Search history');
+
+async function findRun(id) {
+    return RUN_ID_PATTERN.test(id) ? history.getRun(id) : null;
+}
+
+app.get('/api/omni-search/runs', requireHistory, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        res.json({ runs: await history.listRuns({ query: req.query.query, limit }) });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/omni-search/runs/:id', requireHistory, async (req, res) => {
+    try {
+        const run = await findRun(req.params.id);
+        if (!run) return res.status(404).json({ error: "Run not found" });
+        res.json({
+            run_id: run.id,
+            query: run.query,
+            created_at: run.created_at,
+            meta: run.meta,
+            results: run.results || [],
+            debug: run.debug || undefined
+        });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/omni-search/runs/:id/diff', requireHistory, async (req, res) => {
+    try {
+        const target = await findRun(req.params.id);
+        if (!target) return res.status(404).json({ error: "Run not found" });
+        const base = req.query.against ? await findRun(req.query.against) : await history.previousRun(target);
+        if (!base) {
+            return res.status(404).json({ error: req.query.against ? "Run to compare against not found" : "No earlier run of this query to compare with" });
+        }
+        res.json(history.diffRuns(base, target));
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📤 EXPORTS
+// Files in ?format= csv (default), json, ndjson or xlsx with ?columns=name,
+// handle,... (lib/export). POST /api/export turns the results it is sent
+// into a file ({ results, format?, columns?, location?, name? });
+// /api/omni-search/runs/:id/export exports a stored run and /api/leads/export
+// the stored leads, with the /api/leads filters (status, tag, owner, city).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EXPORT_MAX_ROWS = 10000;
+
+// 400 on an unknown format or column, before any data is loaded
+function exportOptions(source) {
+    try {
+        const format = exporter.resolveFormat(source.format);
+        exporter.resolveColumns(source.columns);
+        return { format, columns: source.columns };
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+function sendExport(res, records, { format, columns, basename }) {
+    const file = exporter.renderExport(records, { format, columns, basename });
+    console.log(`   📤 Export: ${records.length} rows → ${file.filename}`);
+    res.attachment(file.filename).type(file.content_type).send(file.body);
+}
+
+app.post('/api/export', (req, res) => {
+    const { results, location, name, ...body } = req.body || {};
+    if (!Array.isArray(results)) return res.status(400).json({ error: "results must be an array" });
+    if (results.length > EXPORT_MAX_ROWS) return res.status(400).json({ error: `At most ${EXPORT_MAX_ROWS} results per export` });
+    const options = exportOptions(body);
+    if (options.error) return res.status(400).json({ error: options.error });
+    try {
+        const records = results.map(r => exporter.recordFromResult(r, { location }));
+        sendExport(res, records, { ...options, basename: `omni_search_${citySlug(name) || 'results'}` });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/omni-search/runs/:id/export', requireHistory, async (req, res) => {
+    const options = exportOptions(req.query);
+    if (options.error) return res.status(400).json({ error: options.error });
+    try {
+        const run = await findRun(req.params.id);
+        if (!run) return res.status(404).json({ error: "Run not found" });
+        const location = run.location || run.meta?.location;
+        const records = (run.results || []).map(r => exporter.recordFromResult(r, { location }));
+        sendExport(res, records, { ...options, basename: `omni_search_${citySlug(run.query) || 'results'}_${run.id.slice(0, 8)}` });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Registered before /api/leads/:handle, which would otherwise take "export" for a handle
+app.get('/api/leads/export', requireStorage('Lead export'), async (req, res) => {
+    const options = exportOptions(req.query);
+    if (options.error) return res.status(400).json({ error: options.error });
+    const { status, tag, owner, city } = req.query;
+    if (status && !curation.LEAD_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status "${status}" (expected: ${curation.LEAD_STATUSES.join(', ')})` });
+    }
+    const max = Math.min(Math.max(parseInt(req.query.limit, 10) || EXPORT_MAX_ROWS, 1), EXPORT_MAX_ROWS);
+    try {
+        const leads = await curation.listAllLeads({ status, tag, owner, city }, { max });
+        const basename = ['leads', citySlug(city), status, citySlug(tag)].filter(Boolean).join('_');
+        sendExport(res, leads.map(exporter.recordFromClub), { ...options, basename });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📋 LEAD CURATION
+// The outreach workflow on stored clubs (lib/curation.js).
+// GET /api/leads?status=&tag=&owner=&city=&limit=&offset= lists leads, best
+// score first (owner=none for unassigned); GET /api/leads/:handle returns one.
+// PATCH /api/leads/:handle with { status?, notes?, owner?, tags?, add_tags?,
+// remove_tags? } edits one; PATCH /api/leads with { handles: [...], ...same }
+// edits many.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const requireLeadStore = requireStorage('Lead curation');
+
+app.get('/api/leads', requireLeadStore, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { status, tag, owner, city } = req.query;
+    if (status && !curation.LEAD_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status "${status}" (expected: ${curation.LEAD_STATUSES.join(', ')})` });
+    }
+    try {
+        res.json({ leads: await curation.listLeads({ status, tag, owner, city, limit, offset }), limit, offset });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/leads/:handle', requireLeadStore, async (req, res) => {
+    try {
+        const lead = await curation.getLead(req.params.handle);
+        if (!lead) return res.status(404).json({ error: "Lead not found" });
+        res.json(lead);
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/leads/:handle', requireLeadStore, async (req, res) => {
+    let changes;
+    try {
+        changes = curation.normalizeCurationChanges(req.body || {});
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    try {
+        const { updated, errors } = await curation.updateLeads([req.params.handle], changes);
+        if (errors.length > 0) throw new Error(errors[0].message);
+        if (updated.length === 0) return res.status(404).json({ error: "Lead not found" });
+        res.json(updated[0]);
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/leads', requireLeadStore, async (req, res) => {
+    const { handles, ...body } = req.body || {};
+    if (!Array.isArray(handles) || handles.length === 0) return res.status(400).json({ error: "handles must be a non-empty array" });
+    if (handles.length > 500) return res.status(400).json({ error: "At most 500 handles per request" });
+    let changes;
+    try {
+        changes = curation.normalizeCurationChanges(body);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    try {
+        res.json(await curation.updateLeads(handles, changes));
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔌 CRM INTEGRATIONS
+// Outbound integrations from config/integrations (lib/integrations).
+// GET /api/integrations lists them. POST /api/integrations/:name/push sends
+// { results, location? } (omni-search results, as for /api/export) or
+// { handles } (stored leads) as signed webhook deliveries, answering 202 when
+// some are left for the background retries (INTEGRATION_PUSH_SECONDS). The delivery log
+// is at GET /api/integrations/deliveries?integration=&status=&limit=, and
+// POST /api/integrations/deliveries/:id/retry sends a delivery again now.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PUSH_MAX_LEADS = 1000;
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+const INTEGRATION_ERROR_STATUS = { UNKNOWN_INTEGRATION: 404, NOT_READY: 409, IN_FLIGHT: 409 };
+
+const requireDeliveryLog = requireStorage('The delivery log');
+
+app.get('/api/integrations', (req, res) => {
+    try {
+        res.json({ integrations: integrations.listIntegrations(), delivery_log: Boolean(storage) });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/integrations/:name/push', async (req, res) => {
+    const { results, location, handles } = req.body || {};
+    const count = (results || handles || []).length;
+    if (!Array.isArray(results) && !Array.isArray(handles)) {
+        return res.status(400).json({ error: "Send results (omni-search results) or handles (stored leads)" });
+    }
+    if (count === 0) return res.status(400).json({ error: "Nothing to push" });
+    if (count > PUSH_MAX_LEADS) return res.status(400).json({ error: `At most ${PUSH_MAX_LEADS} leads per push` });
+    if (!results && !storage) return res.status(503).json({ error: "Pushing stored leads needs storage: set SUPABASE_URL/SUPABASE_KEY or STORAGE=json" });
+
+    try {
+        integrations.resolveIntegration(req.params.name);
+        const records = results
+            ? results.map(r => exporter.recordFromResult(r, { location }))
+            : (await curation.getLeads(handles)).map(exporter.recordFromClub);
+        if (records.length === 0) return res.status(404).json({ error: "None of these leads are stored" });
+
+        // Stop sending once the client has gone; the log keeps the rest
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+        const pushed = await integrations.pushRecords(req.params.name, records, { signal: controller.signal });
+        res.status(pushed.summary.queued > 0 ? 202 : 200).json(pushed);
+    } catch (error) {
+        if (INTEGRATION_ERROR_STATUS[error.code]) return res.status(INTEGRATION_ERROR_STATUS[error.code]).json({ error: error.message });
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/integrations/deliveries', requireDeliveryLog, async (req, res) => {
+    const { integration, status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status "${status}" (expected: ${DELIVERY_STATUSES.join(', ')})` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    try {
+        res.json({ deliveries: await integrations.listDeliveries({ integration, status, limit }) });
+    } catch (error) {
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/integrations/deliveries/:id/retry', requireDeliveryLog, async (req, res) => {
+    if (!RUN_ID_PATTERN.test(req.params.id)) return res.status(404).json({ error: "Delivery not found" });
+    try {
+        const delivery = await integrations.retryDelivery(req.params.id);
+        if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+        res.json(delivery);
+    } catch (error) {
+        if (INTEGRATION_ERROR_STATUS[error.code]) return res.status(INTEGRATION_ERROR_STATUS[error.code]).json({ error: error.message });
+        console.error("   ❌ Critical Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Start Server
 app.listen(PORT, () => {
     console.log(`\n🚀 OMNI-SEARCH ENGINE v3.0 ACTIVE ON PORT ${PORT}`);
-    console.log(`   Powered by Gemini 2.0 Flash | Max Coverage Mode`);
+    const llm = resolveLLM();
+    console.log(`   Powered by ${llm.name} (${llm.model}) | Max Coverage Mode`);
+    console.log(`   Storage: ${storage ? storage.name : 'off'}`);
+    // Building the default search providers reads back today's quota usage
+    try {
+        resolveProviders();
+    } catch (err) {
+        console.error(`   ❌ Search providers: ${err.message}`);
+    }
+    // Failed CRM deliveries are retried from the log in the background
+    if (integrations.startDeliveryRetries()) console.log(`   CRM delivery retries: on`);
 });
@@ -0,0 +1,36 @@
+-- Omni-search results share the dragnet's `clubs` table (keyed on instagram_handle).
+-- New columns are nullable so existing dragnet rows are untouched.
+alter table clubs
+    add column if not exists category text,
+    add column if not exists subcategory text,
+    add column if not exists followers_display text,
+    add column if not exists reasoning text,
+    add column if not exists profile_url text,
+    add column if not exists logo_url text,
+    add column if not exists last_seen_at timestamptz;
+
+-- One row per omni-search request
+create table if not exists omni_search_runs (
+    id uuid primary key,
+    query text not null,
+    location text,
+    intent text,
+    expanded_queries jsonb,
+    result_count integer,
+    created_at timestamptz not null default now()
+);
+
+-- Provenance: which run, query and strategy (IG / WEB) surfaced each club
+create table if not exists club_sources (
+    id bigserial primary key,
+    instagram_handle text not null,
+    run_id uuid references omni_search_runs (id) on delete cascade,
+    query text,
+    source_query text,
+    strategy text,
+    name text,
+    discovered_at timestamptz not null default now()
+);
+
+create index if not exists club_sources_handle_idx on club_sources (instagram_handle);
+create index if not exists club_sources_run_idx on club_sources (run_id);
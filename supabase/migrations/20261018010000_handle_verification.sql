@@ -0,0 +1,5 @@
+-- Outcome of the omni-search handle verification pass:
+-- 'verified' | 'inferred' | 'unresolved', plus the profile URL that backs it.
+alter table clubs
+    add column if not exists verification_status text,
+    add column if not exists verification_evidence_url text;
@@ -0,0 +1,4 @@
+-- Per-factor explanation of clubs.signal_score (see lib/scoring.js):
+-- { factor: { value, weight, points, detail } }
+alter table clubs
+    add column if not exists score_breakdown jsonb;
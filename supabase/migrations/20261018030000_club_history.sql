@@ -0,0 +1,49 @@
+-- Dragnet re-crawls: when each profile was last fetched, and its latest post
+alter table clubs
+    add column if not exists last_refreshed_at timestamptz,
+    add column if not exists last_post_at timestamptz;
+
+-- One snapshot per dragnet refresh of a profile (see lib/club-history.js).
+-- Deltas are against the clubs row as it was before that refresh.
+create table if not exists club_history (
+    id bigserial primary key,
+    instagram_handle text not null,
+    captured_at timestamptz not null default now(),
+    followers integer,
+    followers_delta integer,
+    bio text,
+    bio_changed boolean not null default false,
+    last_post_at timestamptz
+);
+
+create index if not exists club_history_handle_idx on club_history (instagram_handle, captured_at desc);
+
+-- Follower change over the last 30 days and a trend per club:
+--   dormant   — no post in 60 days
+--   new       — no snapshot older than 30 days to compare against
+--   growing / declining / flat — followers now vs. the latest snapshot ≥30 days old
+create or replace view club_trends as
+select
+    c.instagram_handle,
+    c.name,
+    c.city,
+    c.followers,
+    c.last_post_at,
+    c.last_refreshed_at,
+    c.followers - baseline.followers as followers_change_30d,
+    case
+        when c.last_post_at is not null and c.last_post_at < now() - interval '60 days' then 'dormant'
+        when baseline.followers is null then 'new'
+        when c.followers > baseline.followers then 'growing'
+        when c.followers < baseline.followers then 'declining'
+        else 'flat'
+    end as trend
+from clubs c
+left join lateral (
+    select h.followers
+    from club_history h
+    where h.instagram_handle = c.instagram_handle
+      and h.captured_at <= now() - interval '30 days'
+    order by h.captured_at desc
+    limit 1
+) baseline on true;
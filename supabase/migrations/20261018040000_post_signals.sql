@@ -0,0 +1,27 @@
+-- What the dragnet reads out of an account's posts (see lib/post-signals.js):
+--   meeting_summary    "Sundays 5:30am, RK Beach"
+--   schedules          [{ days, time, location, mentions, summary, source }]
+--   meeting_locations  [{ name, mentions }]
+--   upcoming_events    [{ date, time, title, location, url, source }]
+alter table clubs
+    add column if not exists meeting_summary text,
+    add column if not exists schedules jsonb,
+    add column if not exists meeting_locations jsonb,
+    add column if not exists upcoming_events jsonb;
+
+-- Scraped posts (hashtag scraper posts and profile latestPosts), one row per post
+create table if not exists club_posts (
+    post_id text primary key,
+    instagram_handle text not null,
+    shortcode text,
+    url text,
+    caption text,
+    posted_at timestamptz,
+    location_name text,
+    hashtags jsonb,
+    likes integer,
+    comments integer,
+    scraped_at timestamptz not null default now()
+);
+
+create index if not exists club_posts_handle_idx on club_posts (instagram_handle, posted_at desc);
@@ -0,0 +1,11 @@
+-- Search history: each run keeps its full response so it can be listed,
+-- reloaded and compared with earlier runs of the same query (lib/search-history.js)
+alter table omni_search_runs
+    add column if not exists query_key text,
+    add column if not exists expansion jsonb,
+    add column if not exists meta jsonb,
+    add column if not exists results jsonb,
+    add column if not exists debug jsonb;
+
+create index if not exists omni_search_runs_query_idx on omni_search_runs (query_key, created_at desc);
+create index if not exists omni_search_runs_created_idx on omni_search_runs (created_at desc);
@@ -0,0 +1,17 @@
+-- Lead curation (lib/curation.js): the outreach team's status, notes, tags
+-- and owner per club. Dragnet and omni-search upserts never write these
+-- columns, so re-crawls keep them.
+alter table clubs
+    add column if not exists lead_status text not null default 'new',
+    add column if not exists notes text,
+    add column if not exists tags jsonb not null default '[]'::jsonb,
+    add column if not exists owner text,
+    add column if not exists curated_at timestamptz;
+
+alter table clubs drop constraint if exists clubs_lead_status_check;
+alter table clubs add constraint clubs_lead_status_check
+    check (lead_status in ('new', 'contacted', 'partnered', 'rejected'));
+
+create index if not exists clubs_lead_status_idx on clubs (lead_status);
+create index if not exists clubs_owner_idx on clubs (owner);
+create index if not exists clubs_tags_idx on clubs using gin (tags);
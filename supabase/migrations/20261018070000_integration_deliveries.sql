@@ -0,0 +1,22 @@
+-- Outbound CRM integrations (lib/integrations): one row per webhook request,
+-- with the exact payload so a failed delivery can be retried as it was.
+-- status: pending → delivered, or failed (retried at next_retry_at while set)
+create table if not exists integration_deliveries (
+    id uuid primary key,
+    integration text not null,
+    event text not null,
+    status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+    handles jsonb not null default '[]'::jsonb,
+    payload jsonb not null,
+    attempts integer not null default 0,
+    response_status integer,
+    response_body text,
+    error text,
+    created_at timestamptz not null default now(),
+    last_attempt_at timestamptz,
+    next_retry_at timestamptz,
+    delivered_at timestamptz
+);
+
+create index if not exists integration_deliveries_created_idx on integration_deliveries (integration, created_at desc);
+create index if not exists integration_deliveries_retry_idx on integration_deliveries (status, next_retry_at);
@@ -0,0 +1,3 @@
+-- The page each mention came from: the web result a listicle or directory
+-- entry was extracted from, or the Instagram result that was classified
+alter table club_sources add column if not exists source_url text;
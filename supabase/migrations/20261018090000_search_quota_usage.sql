@@ -0,0 +1,11 @@
+-- Daily search quota usage (lib/search/quota-usage.js): pages spent per
+-- provider, API key (sha256 prefix, never the key) and quota day, so the
+-- budget holds across restarts and processes sharing the key
+create table if not exists search_quota_usage (
+    id text primary key,
+    provider text not null,
+    key_hash text not null,
+    day date not null,
+    used integer not null default 0,
+    updated_at timestamptz not null default now()
+);
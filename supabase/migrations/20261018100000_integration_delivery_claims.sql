@@ -0,0 +1,10 @@
+-- Deliveries are claimed (status 'sending') before each request, so the
+-- retry sweep and a manual retry can't send the same one twice. A claim
+-- older than INTEGRATION_CLAIM_MINUTES is from a process that died mid-send.
+alter table integration_deliveries add column if not exists claimed_at timestamptz;
+
+alter table integration_deliveries drop constraint if exists integration_deliveries_status_check;
+alter table integration_deliveries add constraint integration_deliveries_status_check
+    check (status in ('pending', 'sending', 'delivered', 'failed'));
+
+create index if not exists integration_deliveries_claim_idx on integration_deliveries (status, claimed_at);
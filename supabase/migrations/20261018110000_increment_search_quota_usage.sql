@@ -0,0 +1,21 @@
+-- Atomic quota increments for storage.increment (lib/search/quota-usage.js):
+-- processes sharing an API key add their pages instead of overwriting each
+-- other's totals. Returns the new total.
+create or replace function increment_search_quota_usage(p_row jsonb)
+returns integer
+language sql
+as $$
+    insert into search_quota_usage (id, provider, key_hash, day, used, updated_at)
+    values (
+        p_row->>'id',
+        p_row->>'provider',
+        p_row->>'key_hash',
+        (p_row->>'day')::date,
+        (p_row->>'used')::integer,
+        coalesce((p_row->>'updated_at')::timestamptz, now())
+    )
+    on conflict (id) do update
+        set used = search_quota_usage.used + excluded.used,
+            updated_at = excluded.updated_at
+    returning used;
+$$;
@@ -0,0 +1,70 @@
+const http = require('http');
+const { parseArgs } = require('util');
+const { verifySignature } = require('./lib/integrations/webhook');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// 📥 LOCAL WEBHOOK RECEIVER
+// Stands in for a CRM while testing config/integrations: checks each
+// delivery's signature, prints the leads and answers 200. `--fail <n>` answers
+// the first n requests with 503 to exercise retries.
+//
+//   LOCAL_CRM_SECRET=dev node webhook-receiver.js --port 4001 --fail 2
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { values: args } = parseArgs({
+    options: {
+        port: { type: 'string', default: '4001' },
+        fail: { type: 'string', default: '0' },
+        'secret-env': { type: 'string', default: 'LOCAL_CRM_SECRET' },
+    }
+});
+
+const secret = process.env[args['secret-env']];
+if (!secret) {
+    console.error(`❌ Set ${args['secret-env']} to the integration's signing secret`);
+    process.exit(1);
+}
+
+let failuresLeft = parseInt(args.fail, 10) || 0;
+// Retries reuse the delivery id; each one is only printed once
+const seen = new Set();
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const deliveryId = req.headers['x-alterion-delivery'];
+        const reply = (status, data) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+
+        const valid = verifySignature(secret, {
+            signature: req.headers['x-alterion-signature'],
+            timestamp: req.headers['x-alterion-timestamp'],
+            body
+        });
+        if (!valid) {
+            console.log(`   🚫 ${deliveryId || 'unknown delivery'}: bad signature`);
+            return reply(401, { error: 'Invalid signature' });
+        }
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`   💥 ${deliveryId}: simulated failure (${failuresLeft} left)`);
+            return reply(503, { error: 'Simulated failure' });
+        }
+
+        const payload = JSON.parse(body);
+        const leads = payload.leads || [payload.lead];
+        if (seen.has(deliveryId)) {
+            console.log(`   ♻️ ${deliveryId}: duplicate, already received`);
+        } else {
+            seen.add(deliveryId);
+            console.log(`\n📥 ${payload.event} ${deliveryId}: ${leads.length} leads`);
+            leads.forEach(lead => console.log(`   ${JSON.stringify(lead)}`));
+        }
+        reply(200, { received: leads.length });
+    });
+});
+
+server.listen(Number(args.port), () => {
+    console.log(`📥 Webhook receiver listening on http://localhost:${args.port} (${failuresLeft} simulated failures)`);
+});